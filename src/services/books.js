@@ -1,98 +1,27 @@
-// Todoist Books API Service
-const TODOIST_API_URL = 'https://api.todoist.com/api/v1'
-
-// Books project name to search for
-const BOOKS_PROJECT_NAME = '📚 Книги'
+// Todoist books service (domain layer on top of todoistClient.js)
+import { getConfig, resolveSectionRoles, SECTION_ROLES, DEFAULT_BOOKS_PROJECT_NAME } from './config.js'
+import { fetchProjects, fetchProjectSections, fetchProjectTasks, fetchCompletedTasks, createTask, updateTask, closeTask, reopenTask } from './todoistClient.js'
+import { parseDue, dueDateFields } from './due.js'
+import { parseTaskTitle, parseTaskDescription } from './parser.js'
 
 // Cache for project info
 let booksProjectId = null
 let booksSections = {}
 
-// CORS proxy URL (set via setCorsProxy)
-let corsProxyUrl = ''
-
-/**
- * Set the CORS proxy URL for all Books API requests.
- */
-export function setCorsProxy(proxyUrl) {
-  let url = proxyUrl ? proxyUrl.replace(/\/+$/, '') : ''
-  if (url && url.startsWith('http://')) {
-    url = url.replace('http://', 'https://')
-  }
-  corsProxyUrl = url
-}
-
-function applyProxy(url) {
-  if (!corsProxyUrl) return url
-  return `${corsProxyUrl}/${url}`
-}
-
-/**
- * Fetch with retry logic for network errors
- */
-async function fetchWithRetry(url, options = {}, maxRetries = 3) {
-  const proxiedUrl = applyProxy(url)
-  let lastError = null
-
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      const response = await fetch(proxiedUrl, options)
-      return response
-    } catch (error) {
-      lastError = error
-      console.warn(`Network error (attempt ${attempt + 1}/${maxRetries}):`, error.message)
-
-      if (attempt < maxRetries - 1) {
-        const delay = Math.pow(2, attempt) * 1000
-        await new Promise(resolve => setTimeout(resolve, delay))
-      }
-    }
-  }
-
-  throw new Error(`Ошибка сети: ${lastError?.message || 'не удалось подключиться'}. Проверьте интернет-соединение.`)
-}
-
-/**
- * Fetch all pages from a paginated API v1 endpoint.
- */
-async function fetchAllPages(url, options = {}) {
-  const allResults = []
-  let cursor = null
-
-  do {
-    const separator = url.includes('?') ? '&' : '?'
-    const pageUrl = cursor ? `${url}${separator}cursor=${cursor}` : url
-    const response = await fetchWithRetry(pageUrl, options)
-
-    if (!response.ok) return { ok: false, status: response.status, results: [] }
-
-    const data = await response.json()
-    const results = Array.isArray(data) ? data : (data.results || [])
-    allResults.push(...results)
-    cursor = data.next_cursor || null
-  } while (cursor)
-
-  return { ok: true, status: 200, results: allResults }
-}
-
 /**
- * Find books project ID
+ * Find books project ID.
+ * Uses the configured project, otherwise looks up a project named "Книги".
  */
-async function findBooksProject(apiToken) {
+async function findBooksProject(apiToken, options = {}) {
+  const configured = getConfig().booksProjectId
+  if (configured) return configured
   if (booksProjectId) return booksProjectId
 
-  const data = await fetchAllPages(`${TODOIST_API_URL}/projects`, {
-    headers: { 'Authorization': `Bearer ${apiToken}` }
-  })
-
-  if (!data.ok) {
-    throw new Error(`Ошибка Todoist: ${data.status}`)
-  }
-
-  const booksProject = data.results.find(p => p.name.includes('Книги'))
+  const projects = await fetchProjects(apiToken, options)
+  const booksProject = projects.find(p => p.name.includes(DEFAULT_BOOKS_PROJECT_NAME))
 
   if (!booksProject) {
-    throw new Error('Проект "📚 Книги" не найден в Todoist')
+    throw new Error('Проект с книгами не найден. Выберите его в настройках.')
   }
 
   booksProjectId = booksProject.id
@@ -103,22 +32,25 @@ async function findBooksProject(apiToken) {
 /**
  * Fetch sections for books project
  */
-async function fetchBooksSections(apiToken, projectId) {
-  const data = await fetchAllPages(`${TODOIST_API_URL}/sections?project_id=${projectId}`, {
-    headers: { 'Authorization': `Bearer ${apiToken}` }
-  })
-
-  if (!data.ok) {
-    throw new Error(`Ошибка Todoist: ${data.status}`)
-  }
+async function fetchBooksSections(apiToken, projectId, options = {}) {
+  const sections = await fetchProjectSections(apiToken, projectId, options)
 
   booksSections = {}
-  data.results.forEach(section => {
+  sections.forEach(section => {
     booksSections[section.id] = section.name
   })
 
   console.log('Fetched book sections:', booksSections)
-  return booksSections
+  return { names: booksSections, roles: resolveSectionRoles(sections) }
+}
+
+/**
+ * Audiobook by a label ("аудио", "audiobook") or the section name
+ */
+export function isAudiobook(labels, sectionName = '') {
+  return labels.some(l =>
+    l.toLowerCase().includes('аудио') || l.toLowerCase().includes('audio')
+  ) || sectionName.toLowerCase().includes('аудио')
 }
 
 /**
@@ -127,6 +59,8 @@ async function fetchBooksSections(apiToken, projectId) {
 export function parseBookInfo(task, allTasks = [], sections = {}) {
   const sectionName = sections[task.section_id] || 'Другое'
 
+  const due = parseDue(task.due)
+
   const info = {
     id: task.id,
     title: task.content,
@@ -135,7 +69,9 @@ export function parseBookInfo(task, allTasks = [], sections = {}) {
     sectionName: sectionName,
     labels: task.labels || [],
     priority: task.priority,
-    dueDate: task.due?.date || null,
+    dueDate: due?.date || null,
+    // { date, time, datetime, timezone, string, isRecurring } (see due.js)
+    due,
     // Book-specific fields
     author: null,
     year: null,
@@ -146,146 +82,62 @@ export function parseBookInfo(task, allTasks = [], sections = {}) {
     genre: null,
     isAudiobook: false,
     series: null,
-    seriesNumber: null
+    seriesNumber: null,
+    // Custom "key: value" lines of the description
+    fields: {},
+    // Parts of the task the parser could not read
+    parseWarnings: []
   }
 
-  // Check if audiobook based on labels or section
-  info.isAudiobook = info.labels.some(l =>
-    l.toLowerCase().includes('аудио') || l.toLowerCase().includes('audio')
-  ) || sectionName.toLowerCase().includes('аудио')
-
-  // Clean title and extract info
-  let cleanedTitle = info.title
-    .replace(/^[•*#\d]+\s*/, '')
-    .replace(/^\d+\s+/, '')
-    .trim()
-
-  // Extract author from title (e.g., "Книга — Автор" or "Автор - Книга")
-  // Pattern 1: "Title — Author"
-  let authorMatch = cleanedTitle.match(/^(.+?)\s*[—–-]\s*([^(]+?)(?:\s*\(|$)/)
-  if (authorMatch) {
-    // Check which part is likely the author (usually shorter, or contains typical name patterns)
-    const part1 = authorMatch[1].trim()
-    const part2 = authorMatch[2].trim()
-
-    // If part2 looks like year or other metadata, part1 might contain both title and author
-    if (/^\d{4}$/.test(part2)) {
-      info.title = part1
-      info.year = parseInt(part2)
-    } else {
-      // Assume format is "Title — Author"
-      info.title = part1
-      info.author = part2
-    }
-    cleanedTitle = info.title
-  }
+  info.isAudiobook = isAudiobook(info.labels, sectionName)
 
-  // Extract year from title (e.g., "(2020)")
-  const yearMatch = cleanedTitle.match(/\((\d{4})\)/)
-  if (yearMatch) {
-    info.year = parseInt(yearMatch[1])
-    cleanedTitle = cleanedTitle.replace(/\s*\(\d{4}\)\s*/, ' ').trim()
-  }
+  // Title: "Название (Год) — Автор" (grammar in parser.js)
+  const parsedTitle = parseTaskTitle(task.content)
+  info.title = parsedTitle.title
+  info.year = parsedTitle.year
+  info.author = parsedTitle.credit
 
   // Extract series info (e.g., "#3" or "Том 2")
-  const seriesMatch = cleanedTitle.match(/#(\d+)|[Тт]ом\s*(\d+)|[Кк]нига\s*(\d+)/)
+  const seriesMatch = info.title.match(/#(\d+)|[Тт]ом\s*(\d+)|[Кк]нига\s*(\d+)/)
   if (seriesMatch) {
     info.seriesNumber = parseInt(seriesMatch[1] || seriesMatch[2] || seriesMatch[3])
   }
 
-  info.title = cleanedTitle
-
-  // Parse description for ratings and additional info
-  if (info.description) {
-    // Livelib rating (e.g., "Livelib: 4.5" or "LiveLib: 4.5")
-    const livilibMatch = info.description.match(/(?:Livelib|LiveLib|livelib)[:\s]*(\d+\.?\d*)/i)
-    if (livilibMatch) {
-      info.livilibRating = parseFloat(livilibMatch[1])
-    }
-
-    // Goodreads rating
-    const goodreadsMatch = info.description.match(/(?:Goodreads|GoodReads|goodreads)[:\s]*(\d+\.?\d*)/i)
-    if (goodreadsMatch) {
-      info.goodreadsRating = parseFloat(goodreadsMatch[1])
-    }
-
-    // Page count (e.g., "320 стр" or "320 pages")
-    const pagesMatch = info.description.match(/(\d+)\s*(?:стр|страниц|pages?|p\.)/i)
-    if (pagesMatch) {
-      info.pages = parseInt(pagesMatch[1])
-    }
-
-    // Author from description if not found in title
-    if (!info.author) {
-      const authorDescMatch = info.description.match(/(?:Автор|Author)[:\s]*(.+?)(?:\n|$)/i)
-      if (authorDescMatch) {
-        info.author = authorDescMatch[1].trim()
-      }
-    }
-
-    // Genre from description
-    const genreMatch = info.description.match(/(?:Жанр|Genre)[:\s]*(.+?)(?:\n|$)/i)
-    if (genreMatch) {
-      info.genre = genreMatch[1].trim()
-    }
-
-    // Extract reason (everything after metadata)
-    const lines = info.description.split('\n').filter(l => l.trim())
-    const reasonLines = lines.filter(line => {
-      const lower = line.toLowerCase()
-      return !lower.includes('livelib') &&
-             !lower.includes('goodreads') &&
-             !lower.match(/^\d+\s*(стр|pages)/) &&
-             !lower.includes('автор:') &&
-             !lower.includes('author:') &&
-             !lower.includes('жанр:') &&
-             !lower.includes('genre:')
-    })
-    if (reasonLines.length > 0) {
-      info.reason = reasonLines.join(' ').trim()
-    }
-  }
+  // Description: ratings, pages, author, genre, reason and custom fields
+  const parsed = parseTaskDescription(info.description)
+  info.livilibRating = parsed.ratings.livelib ?? null
+  info.goodreadsRating = parsed.ratings.goodreads ?? null
+  info.pages = parsed.pages
+  info.author = info.author || parsed.author
+  info.genre = parsed.genre
+  info.reason = parsed.reason
+  info.fields = parsed.fields
+  info.parseWarnings = [...parsedTitle.warnings, ...parsed.warnings]
 
   return info
 }
 
 /**
  * Fetch books from Todoist API
+ * Options: { signal } to cancel the request
  */
-export async function fetchBooks(apiToken) {
-  if (!apiToken) {
-    throw new Error('Todoist API token is required')
-  }
-
+export async function fetchBooks(apiToken, options = {}) {
   // Find books project
-  const projectId = await findBooksProject(apiToken)
+  const projectId = await findBooksProject(apiToken, options)
 
   // Fetch sections
-  const sections = await fetchBooksSections(apiToken, projectId)
+  const { names: sections, roles: sectionRoles } = await fetchBooksSections(apiToken, projectId, options)
 
   // Fetch tasks
-  const tasksData = await fetchAllPages(`${TODOIST_API_URL}/tasks?project_id=${projectId}`, {
-    headers: { 'Authorization': `Bearer ${apiToken}` }
-  })
-
-  if (!tasksData.ok) {
-    if (tasksData.status === 401) {
-      throw new Error('Неверный Todoist токен. Проверьте настройки.')
-    } else if (tasksData.status === 403) {
-      throw new Error('Нет доступа к проекту в Todoist.')
-    } else if (tasksData.status >= 500) {
-      throw new Error('Сервер Todoist временно недоступен. Попробуйте позже.')
-    }
-    throw new Error(`Ошибка Todoist: ${tasksData.status}`)
-  }
-
-  const tasks = tasksData.results
+  const tasks = await fetchProjectTasks(apiToken, projectId, options)
 
   // Filter and parse books
   const books = tasks
     .filter(task => {
       // Skip subtasks
       if (task.parent_id) return false
+      // Skip ignored sections
+      if (sectionRoles[task.section_id] === SECTION_ROLES.IGNORED) return false
       // Skip items that look like headers
       if (task.content.startsWith('*')) return false
       // Skip items starting with bullet points
@@ -297,6 +149,36 @@ export async function fetchBooks(apiToken) {
   return books
 }
 
+/**
+ * Fetch books completed (read) between `since` and `until`.
+ * Each book gets `completedAt` (ISO string).
+ */
+export async function fetchReadBooks(apiToken, since, until, options = {}) {
+  const projectId = await findBooksProject(apiToken, options)
+  const { names: sections, roles: sectionRoles } = await fetchBooksSections(apiToken, projectId, options)
+  const tasks = await fetchCompletedTasks(apiToken, since, until, { ...options, projectId })
+
+  return tasks
+    .filter(task => {
+      if (task.parent_id) return false
+      if (sectionRoles[task.section_id] === SECTION_ROLES.IGNORED) return false
+      if (task.content.startsWith('*') || task.content.startsWith('•')) return false
+      return true
+    })
+    .map(task => ({
+      ...parseBookInfo(task, [], sections),
+      completedAt: task.completed_at,
+      noteCount: task.note_count ?? null
+    }))
+}
+
+/**
+ * Reopen a read book so it returns to the list
+ */
+export async function reopenBookTask(apiToken, taskId) {
+  return await reopenTask(apiToken, taskId)
+}
+
 /**
  * Get available sections
  */
@@ -308,75 +190,29 @@ export function getBooksSections() {
  * Complete (close) a book task
  */
 export async function completeBookTask(apiToken, taskId) {
-  if (!apiToken) {
-    throw new Error('Todoist API token is required')
-  }
-
-  const response = await fetchWithRetry(`${TODOIST_API_URL}/tasks/${taskId}/close`, {
-    method: 'POST',
-    headers: { 'Authorization': `Bearer ${apiToken}` }
-  })
-
-  if (!response.ok) {
-    throw new Error(`Ошибка Todoist: ${response.status}`)
-  }
-
-  return true
+  return await closeTask(apiToken, taskId)
 }
 
 /**
  * Create a new task for book review
  */
 export async function createBookReviewTask(apiToken, bookTitle) {
-  if (!apiToken) {
-    throw new Error('Todoist API token is required')
-  }
-
-  const response = await fetchWithRetry(`${TODOIST_API_URL}/tasks`, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiToken}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      content: `Написать отзыв на книгу «${bookTitle}»`
-    })
-  })
-
-  if (!response.ok) {
-    throw new Error(`Ошибка Todoist: ${response.status}`)
-  }
-
-  return await response.json()
+  return await createTask(apiToken, `Написать отзыв на книгу «${bookTitle}»`)
 }
 
 /**
  * Update book task due date
  */
-export async function updateBookDueDate(apiToken, taskId, dueDate) {
-  if (!apiToken) {
-    throw new Error('Todoist API token is required')
-  }
-
-  // Use due_date for setting, due_string: "no date" for clearing
-  const body = dueDate
-    ? { due_date: dueDate }
-    : { due_string: 'no date' }
-
-  const response = await fetchWithRetry(`${TODOIST_API_URL}/tasks/${taskId}`, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiToken}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(body)
-  })
-
-  if (!response.ok) {
-    throw new Error(`Ошибка Todoist: ${response.status}`)
-  }
+export async function updateBookDueDate(apiToken, taskId, schedule) {
+  return await updateTask(apiToken, taskId, dueDateFields(schedule))
+}
 
-  return await response.json()
+/**
+ * Update labels and/or priority of a book task (fields: { labels, priority }).
+ * Returns the updated task.
+ */
+export async function updateBookTask(apiToken, taskId, fields) {
+  return await updateTask(apiToken, taskId, fields)
 }
 
 /**
@@ -0,0 +1,240 @@
+// Persistent cache for API responses (TMDB, Open Library), stored in IndexedDB
+// with an in-memory mirror:
+//   - every entry has its own timestamp and is stale after the TTL of its kind
+//   - stale entries are returned at once and refreshed in the background
+//   - above MAX_ENTRIES the least recently used entries are evicted
+import { dbGetAll, dbPutMany, dbDeleteMany } from './db.js'
+
+const DAY = 24 * 60 * 60 * 1000
+
+// Entry kinds and how long they stay fresh
+export const CACHE_TTL = {
+  search: 30 * DAY,
+  details: 14 * DAY,
+  episodes: 1 * DAY, // New episodes air every week
+  providers: 3 * DAY, // Streaming catalogs change often
+  covers: 60 * DAY
+}
+
+export const CACHE_KIND_LABELS = {
+  search: 'Поиск',
+  details: 'Подробности',
+  episodes: 'Серии',
+  providers: 'Где смотреть',
+  covers: 'Обложки'
+}
+
+const MAX_ENTRIES = 3000
+// Evict down to this share of the limit so every insert does not evict
+const EVICT_TO = 0.9
+// Access times are written in batches
+const FLUSH_DELAY = 2000
+
+// Records by full key: { key, namespace, version, kind, value, storedAt, accessedAt, size }
+const entries = new Map()
+// Namespace versions registered by createCache
+const versions = {}
+// Full keys whose access time changed since the last flush
+const touched = new Set()
+// Full keys being refreshed in the background
+const revalidating = new Set()
+
+let loadPromise = null
+let flushTimeout = null
+
+/**
+ * Load all records into memory once per page load.
+ * Without IndexedDB the cache works in memory only.
+ */
+function load() {
+  if (loadPromise) return loadPromise
+
+  loadPromise = dbGetAll('cache')
+    .then(records => {
+      const outdated = []
+      records.forEach(record => {
+        const version = versions[record.namespace]
+        if ((version !== undefined && version !== record.version) || !CACHE_TTL[record.kind]) {
+          outdated.push(record.key)
+        } else {
+          entries.set(record.key, record)
+        }
+      })
+      if (outdated.length > 0) {
+        dbDeleteMany('cache', outdated).catch(e => console.warn('Cache: Failed to drop outdated entries:', e))
+      }
+      console.log(`Cache: Loaded ${entries.size} entries`)
+    })
+    .catch(e => console.warn('Cache: IndexedDB unavailable, caching in memory only:', e))
+  return loadPromise
+}
+
+function isStale(record) {
+  return Date.now() - record.storedAt > CACHE_TTL[record.kind]
+}
+
+function persist(records) {
+  if (records.length === 0) return
+  dbPutMany('cache', records).catch(e => console.warn('Cache: Failed to save entries:', e))
+}
+
+function scheduleFlush() {
+  if (flushTimeout) return
+  flushTimeout = setTimeout(flushCache, FLUSH_DELAY)
+}
+
+/**
+ * Write pending access times now (e.g. after a batch of lookups)
+ */
+export function flushCache() {
+  clearTimeout(flushTimeout)
+  flushTimeout = null
+  persist([...touched].map(key => entries.get(key)).filter(Boolean))
+  touched.clear()
+}
+
+/**
+ * Drop least recently used entries above the limit
+ */
+function evict() {
+  if (entries.size <= MAX_ENTRIES) return
+
+  const byAccess = [...entries.values()].sort((a, b) => a.accessedAt - b.accessedAt)
+  const evicted = byAccess.slice(0, entries.size - Math.floor(MAX_ENTRIES * EVICT_TO)).map(record => record.key)
+  evicted.forEach(key => {
+    entries.delete(key)
+    touched.delete(key)
+  })
+  console.log(`Cache: Evicted ${evicted.length} least recently used entries`)
+  dbDeleteMany('cache', evicted).catch(e => console.warn('Cache: Failed to evict entries:', e))
+}
+
+function removeKeys(keys) {
+  keys.forEach(key => {
+    entries.delete(key)
+    touched.delete(key)
+  })
+  if (keys.length > 0) {
+    dbDeleteMany('cache', keys).catch(e => console.warn('Cache: Failed to delete entries:', e))
+  }
+}
+
+/**
+ * Cache bound to a namespace ('tmdb', 'books').
+ * Bumping `version` drops the namespace's entries stored by older code.
+ */
+export function createCache(namespace, { version = 1 } = {}) {
+  versions[namespace] = version
+  const fullKey = key => `${namespace}:${key}`
+
+  /**
+   * Entry as { value, stale } or null; marks it as recently used
+   */
+  async function get(key) {
+    await load()
+    const record = entries.get(fullKey(key))
+    if (!record) return null
+
+    record.accessedAt = Date.now()
+    touched.add(record.key)
+    scheduleFlush()
+    return { value: record.value, stale: isStale(record) }
+  }
+
+  async function set(kind, key, value) {
+    await load()
+    // A JSON copy strips Vue proxies and detaches the entry from later mutations
+    const json = JSON.stringify(value ?? null)
+    const now = Date.now()
+    const record = {
+      key: fullKey(key),
+      namespace,
+      version,
+      kind,
+      value: JSON.parse(json),
+      storedAt: now,
+      accessedAt: now,
+      size: json.length
+    }
+    entries.set(record.key, record)
+    touched.delete(record.key)
+    persist([record])
+    evict()
+  }
+
+  /**
+   * Stale-while-revalidate read.
+   * `fetcher()` resolves with the value to cache (null caches a miss) and
+   * throws if nothing should be cached; on a miss the error reaches the caller,
+   * a failed background refresh keeps the stale value.
+   */
+  async function read(kind, key, fetcher) {
+    const cached = await get(key)
+    if (cached) {
+      if (cached.stale) revalidate(kind, key, fetcher)
+      return cached.value
+    }
+
+    const value = await fetcher()
+    await set(kind, key, value)
+    return value
+  }
+
+  function revalidate(kind, key, fetcher) {
+    const id = fullKey(key)
+    if (revalidating.has(id)) return
+    revalidating.add(id)
+
+    fetcher()
+      .then(value => set(kind, key, value))
+      .catch(e => console.warn(`Cache: Failed to refresh ${id}:`, e.message))
+      .finally(() => revalidating.delete(id))
+  }
+
+  /**
+   * Delete entries whose key (without the namespace) matches
+   */
+  async function deleteWhere(predicate) {
+    await load()
+    const prefix = `${namespace}:`
+    removeKeys([...entries.keys()].filter(id => id.startsWith(prefix) && predicate(id.slice(prefix.length))))
+  }
+
+  async function remove(key) {
+    await load()
+    removeKeys([fullKey(key)])
+  }
+
+  return { get, set, read, remove, deleteWhere }
+}
+
+/**
+ * Entry counts per namespace and kind:
+ * [{ namespace, kind, count, stale, size }], size in bytes of JSON
+ */
+export async function getCacheStats() {
+  await load()
+  const stats = new Map()
+  entries.forEach(record => {
+    const id = `${record.namespace}:${record.kind}`
+    if (!stats.has(id)) {
+      stats.set(id, { namespace: record.namespace, kind: record.kind, count: 0, stale: 0, size: 0 })
+    }
+    const row = stats.get(id)
+    row.count++
+    row.size += record.size
+    if (isStale(record)) row.stale++
+  })
+  return [...stats.values()].sort((a, b) => a.namespace.localeCompare(b.namespace) || a.kind.localeCompare(b.kind))
+}
+
+/**
+ * Clear a namespace, one kind within it, or everything
+ */
+export async function clearCache(namespace = null, kind = null) {
+  await load()
+  removeKeys([...entries.values()]
+    .filter(record => (!namespace || record.namespace === namespace) && (!kind || record.kind === kind))
+    .map(record => record.key))
+  console.log(`Cache: Cleared ${namespace || 'all'}${kind ? `/${kind}` : ''}`)
+}
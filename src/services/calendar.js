@@ -0,0 +1,188 @@
+// Schedule of viewings and readings: calendar events from due dates,
+// month/week grids and an iCalendar (.ics) export
+import { localDateString, itemDue } from './due.js'
+
+// Movies without a due time are planned for the evening
+const DEFAULT_VIEWING_HOUR = 20
+// Used when a movie has no runtime
+const DEFAULT_RUNTIME = 120
+
+export const WEEKDAY_LABELS = ['Пн', 'Вт', 'Ср', 'Чт', 'Пт', 'Сб', 'Вс']
+
+/**
+ * Events for scheduled movies and books, ordered by date:
+ * [{ key, kind, item, title, date (YYYY-MM-DD), time (HH:MM or null), recurring, runtime, poster }].
+ * A recurring task shows up on its next occurrence only.
+ * Options: { posterFor(movie), runtimeFor(movie), coverFor(book) }
+ */
+export function calendarEvents(movies, books, options = {}) {
+  const event = (kind, item, extra) => {
+    const due = itemDue(item)
+    return {
+      key: `${kind}-${item.id}`,
+      kind,
+      item,
+      title: item.title,
+      date: due.date,
+      time: due.time,
+      recurring: due.isRecurring,
+      ...extra
+    }
+  }
+
+  return [
+    ...movies.filter(movie => movie.dueDate).map(movie => event('movies', movie, {
+      runtime: options.runtimeFor?.(movie) || null,
+      poster: options.posterFor?.(movie) || null
+    })),
+    ...books.filter(book => book.dueDate).map(book => event('books', book, {
+      runtime: null,
+      poster: options.coverFor?.(book) || null
+    }))
+  ].sort((a, b) => a.date.localeCompare(b.date) || (a.time || '').localeCompare(b.time || ''))
+}
+
+function startOfWeek(date) {
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate())
+  // Weeks start on Monday
+  day.setDate(day.getDate() - (day.getDay() + 6) % 7)
+  return day
+}
+
+function addDays(date, days) {
+  const next = new Date(date)
+  next.setDate(next.getDate() + days)
+  return next
+}
+
+/**
+ * Days shown for the month or week around `anchor`:
+ * [{ date (YYYY-MM-DD), day, inPeriod, isToday }], whole weeks from Monday
+ */
+export function calendarDays(anchor, view = 'month') {
+  const today = localDateString()
+  let first
+  let count
+  if (view === 'week') {
+    first = startOfWeek(anchor)
+    count = 7
+  } else {
+    const monthStart = new Date(anchor.getFullYear(), anchor.getMonth(), 1)
+    const monthEnd = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0)
+    first = startOfWeek(monthStart)
+    // Rounded: a daylight saving change makes a day 23 or 25 hours long
+    const days = Math.round((monthEnd - first) / (24 * 60 * 60 * 1000)) + 1
+    count = Math.ceil(days / 7) * 7
+  }
+
+  return Array.from({ length: count }, (_, index) => {
+    const date = addDays(first, index)
+    const key = localDateString(date)
+    return {
+      date: key,
+      day: date.getDate(),
+      inPeriod: view === 'week' || date.getMonth() === anchor.getMonth(),
+      isToday: key === today
+    }
+  })
+}
+
+/**
+ * Anchor date moved by one month or week
+ */
+export function shiftPeriod(anchor, view, step) {
+  return view === 'week'
+    ? addDays(anchor, step * 7)
+    : new Date(anchor.getFullYear(), anchor.getMonth() + step, 1)
+}
+
+// iCalendar text value (RFC 5545, 3.3.11)
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+}
+
+// Lines longer than 75 octets are folded (RFC 5545, 3.1)
+function foldLine(line) {
+  const encoder = new TextEncoder()
+  const parts = []
+  let current = ''
+  let size = 0
+  for (const char of line) {
+    const charSize = encoder.encode(char).length
+    if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current)
+      current = ''
+      size = 0
+    }
+    current += char
+    size += charSize
+  }
+  parts.push(current)
+  return parts.join('\r\n ')
+}
+
+function icsDate(date) {
+  return date.replace(/-/g, '')
+}
+
+// Floating local time: YYYYMMDDTHHMMSS
+function icsDateTime(date) {
+  const pad = n => String(n).padStart(2, '0')
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}T${pad(date.getHours())}${pad(date.getMinutes())}00`
+}
+
+function eventLines(event, stamp) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.key}@movie-portal`,
+    `DTSTAMP:${stamp}`
+  ]
+
+  if (event.kind === 'movies') {
+    // A viewing lasts as long as the movie (one episode for a series)
+    const [year, month, day] = event.date.split('-').map(Number)
+    const [hours, minutes] = event.time ? event.time.split(':').map(Number) : [DEFAULT_VIEWING_HOUR, 0]
+    const start = new Date(year, month - 1, day, hours, minutes)
+    const end = new Date(start.getTime() + (event.runtime || DEFAULT_RUNTIME) * 60 * 1000)
+    lines.push(`DTSTART:${icsDateTime(start)}`, `DTEND:${icsDateTime(end)}`)
+    lines.push(`SUMMARY:${escapeText(`🎬 ${event.title}`)}`)
+  } else {
+    // Reading is planned for the day
+    const next = localDateString(addDays(new Date(`${event.date}T00:00:00`), 1))
+    lines.push(`DTSTART;VALUE=DATE:${icsDate(event.date)}`, `DTEND;VALUE=DATE:${icsDate(next)}`)
+    lines.push(`SUMMARY:${escapeText(`📚 ${event.title}`)}`)
+  }
+
+  const description = [
+    event.item.year ? `Год: ${event.item.year}` : null,
+    event.item.director || event.item.author || null,
+    event.item.reason || null,
+    event.poster ? `Постер: ${event.poster}` : null
+  ].filter(Boolean).join('\n')
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`)
+  if (event.poster) lines.push(`ATTACH;FMTTYPE=image/jpeg:${event.poster}`)
+
+  lines.push('END:VEVENT')
+  return lines
+}
+
+/**
+ * iCalendar file with one event per scheduled movie or book
+ */
+export function buildIcs(events) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//movie-portal//Schedule//RU',
+    'CALSCALE:GREGORIAN',
+    'X-WR-CALNAME:Фильмы и книги',
+    ...events.flatMap(event => eventLines(event, stamp)),
+    'END:VCALENDAR'
+  ]
+  return lines.map(foldLine).join('\r\n') + '\r\n'
+}
@@ -0,0 +1,114 @@
+// Todoist library configuration: which projects to use and what each section means
+const CONFIG_STORAGE_KEY = 'todoist_config'
+
+// Section roles used by the movie service instead of literal section IDs
+export const SECTION_ROLES = {
+  IGNORED: 'ignored',
+  WATCHING: 'watching',
+  MOVIES: 'movies',
+  SERIES: 'series',
+  CURATED: 'curated'
+}
+
+export const SECTION_ROLE_LABELS = {
+  [SECTION_ROLES.IGNORED]: 'Игнорировать (правила)',
+  [SECTION_ROLES.WATCHING]: 'Смотрю сейчас',
+  [SECTION_ROLES.MOVIES]: 'Фильмы',
+  [SECTION_ROLES.SERIES]: 'Сериалы',
+  [SECTION_ROLES.CURATED]: 'Подборка'
+}
+
+// Project names used when no project is configured yet
+export const DEFAULT_MOVIES_PROJECT_NAME = 'Фильмы'
+export const DEFAULT_BOOKS_PROJECT_NAME = 'Книги'
+
+const DEFAULT_CONFIG = {
+  moviesProjectId: null,
+  booksProjectId: null,
+  // { [sectionId]: role }, '' for a section saved without a role
+  sectionRoles: {}
+}
+
+/**
+ * Load configuration from localStorage
+ */
+export function getConfig() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CONFIG_STORAGE_KEY) || '{}')
+    return {
+      ...DEFAULT_CONFIG,
+      ...stored,
+      sectionRoles: { ...(stored.sectionRoles || {}) }
+    }
+  } catch (e) {
+    console.warn('Config: Failed to load, using defaults:', e)
+    return { ...DEFAULT_CONFIG, sectionRoles: {} }
+  }
+}
+
+/**
+ * Save configuration to localStorage
+ */
+export function saveConfig(config) {
+  const toStore = {
+    moviesProjectId: config.moviesProjectId || null,
+    booksProjectId: config.booksProjectId || null,
+    sectionRoles: config.sectionRoles || {}
+  }
+  localStorage.setItem(CONFIG_STORAGE_KEY, JSON.stringify(toStore))
+}
+
+/**
+ * Guess a section role from its name.
+ * Only a suggestion for sections not mapped yet (see suggestSectionRoles).
+ */
+export function guessSectionRole(sectionName) {
+  const name = (sectionName || '').toLowerCase()
+  if (!name) return null
+  if (name.includes('правил')) return SECTION_ROLES.IGNORED
+  if (name.includes('смотрю сейчас')) return SECTION_ROLES.WATCHING
+  if (name.includes('сериал')) return SECTION_ROLES.SERIES
+  if (name === 'фильмы') return SECTION_ROLES.MOVIES
+  if (/топ|top|главных|лучших/.test(name)) return SECTION_ROLES.CURATED
+  return null
+}
+
+/**
+ * Saved roles for a list of sections ({ id, name }); a section the user
+ * has not mapped has no role.
+ * Returns { [sectionId]: role }
+ */
+export function resolveSectionRoles(sections, config = getConfig()) {
+  const roles = {}
+  sections.forEach(section => {
+    const role = config.sectionRoles[section.id]
+    if (role) roles[section.id] = role
+  })
+  return roles
+}
+
+/**
+ * Roles to pre-fill in the settings: the saved one ('' for "no role"),
+ * guessed from the name for sections never mapped.
+ * Returns { roles: { [sectionId]: role | '' }, suggested: [sectionId] }
+ */
+export function suggestSectionRoles(sections, config = getConfig()) {
+  const roles = {}
+  const suggested = []
+  sections.forEach(section => {
+    if (section.id in config.sectionRoles) {
+      roles[section.id] = config.sectionRoles[section.id]
+    } else {
+      roles[section.id] = guessSectionRole(section.name) || ''
+      suggested.push(section.id)
+    }
+  })
+  return { roles, suggested }
+}
+
+/**
+ * True if section roles were never saved (first run)
+ */
+export function needsSectionRoles(config = getConfig()) {
+  return Object.keys(config.sectionRoles).length === 0
+}
@@ -0,0 +1,97 @@
+// Minimal IndexedDB wrapper shared by services that persist data locally
+const DB_NAME = 'movieportal'
+const DB_VERSION = 2
+
+// Object stores and their options
+const STORES = {
+  snapshots: {},
+  outbox: { keyPath: 'id', autoIncrement: true },
+  cache: { keyPath: 'key' }
+}
+
+let dbPromise = null
+
+/**
+ * Open (and upgrade) the database once per page load
+ */
+function openDb() {
+  if (dbPromise) return dbPromise
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'))
+      return
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = () => {
+      const db = request.result
+      Object.entries(STORES).forEach(([name, options]) => {
+        if (!db.objectStoreNames.contains(name)) {
+          db.createObjectStore(name, options)
+        }
+      })
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+
+  // Allow a retry on the next call if opening failed
+  dbPromise.catch(() => { dbPromise = null })
+  return dbPromise
+}
+
+/**
+ * Run a single request against a store and resolve with its result
+ */
+async function withStore(storeName, mode, callback) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode)
+    const request = callback(tx.objectStore(storeName))
+    tx.oncomplete = () => resolve(request?.result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+export function dbGet(storeName, key) {
+  return withStore(storeName, 'readonly', store => store.get(key))
+}
+
+export function dbGetAll(storeName) {
+  return withStore(storeName, 'readonly', store => store.getAll())
+}
+
+/**
+ * Put a value; `key` is only needed for stores without a keyPath.
+ * Resolves with the record key.
+ */
+export function dbPut(storeName, value, key) {
+  return withStore(storeName, 'readwrite', store =>
+    key === undefined ? store.put(value) : store.put(value, key)
+  )
+}
+
+/**
+ * Put several values in one transaction (stores with a keyPath only)
+ */
+export function dbPutMany(storeName, values) {
+  return withStore(storeName, 'readwrite', store => {
+    values.forEach(value => store.put(value))
+  })
+}
+
+export function dbDelete(storeName, key) {
+  return withStore(storeName, 'readwrite', store => store.delete(key))
+}
+
+export function dbDeleteMany(storeName, keys) {
+  return withStore(storeName, 'readwrite', store => {
+    keys.forEach(key => store.delete(key))
+  })
+}
+
+export function dbClear(storeName) {
+  return withStore(storeName, 'readwrite', store => store.clear())
+}
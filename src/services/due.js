@@ -0,0 +1,122 @@
+// Todoist due dates: parsing task due info (date, time of day, timezone,
+// recurrence), building update bodies and formatting for display.
+//
+// A schedule passed to the update functions is one of:
+//   - null: clear the due date
+//   - 'YYYY-MM-DD' or { date }: a day
+//   - { date, time: 'HH:MM' }: a day and a local time of day
+//   - { string }: natural language parsed by Todoist ("пятница 21:00", "every friday 21:00")
+
+/**
+ * Local date as YYYY-MM-DD (the due date format of Todoist)
+ */
+export function localDateString(date = new Date()) {
+  const pad = n => String(n).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+function localTimeString(date) {
+  const pad = n => String(n).padStart(2, '0')
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}`
+}
+
+/**
+ * Due info of a Todoist task, or null:
+ * { date (YYYY-MM-DD), time (HH:MM or null), datetime, timezone, string, isRecurring }.
+ * Times with a timezone are fixed moments and are converted to local time;
+ * floating times are kept as written.
+ */
+export function parseDue(due) {
+  if (!due?.date) return null
+
+  const datetime = due.datetime || (due.date.length > 10 ? due.date : null)
+  let date = due.date.slice(0, 10)
+  let time = null
+  if (datetime) {
+    if (/(Z|[+-]\d\d:?\d\d)$/.test(datetime)) {
+      const moment = new Date(datetime)
+      date = localDateString(moment)
+      time = localTimeString(moment)
+    } else {
+      time = datetime.slice(11, 16)
+    }
+  }
+
+  return {
+    date,
+    time,
+    datetime,
+    timezone: due.timezone || null,
+    string: due.string || null,
+    isRecurring: !!due.is_recurring
+  }
+}
+
+/**
+ * Update body for a schedule (see the top of the file)
+ */
+export function dueDateFields(schedule) {
+  if (!schedule) return { due_string: 'no date' }
+  if (typeof schedule === 'string') return { due_date: schedule }
+  if (schedule.string) {
+    return { due_string: schedule.string, due_lang: /[а-яё]/i.test(schedule.string) ? 'ru' : 'en' }
+  }
+  if (schedule.time) {
+    // Sent as a moment in UTC, Todoist keeps it in the user's timezone
+    return { due_datetime: new Date(`${schedule.date}T${schedule.time}:00`).toISOString() }
+  }
+  return { due_date: schedule.date }
+}
+
+/**
+ * Due info for a schedule before Todoist has parsed it (e.g. queued offline).
+ * A natural-language string keeps the current date until the task is reloaded.
+ */
+export function scheduleToDue(schedule, current = null) {
+  if (!schedule) return null
+  if (typeof schedule === 'string') {
+    return { date: schedule, time: null, datetime: null, timezone: null, string: null, isRecurring: false }
+  }
+  if (schedule.string) {
+    return current ? { ...current, string: schedule.string } : null
+  }
+  return {
+    date: schedule.date,
+    time: schedule.time || null,
+    datetime: schedule.time ? `${schedule.date}T${schedule.time}:00` : null,
+    timezone: null,
+    string: null,
+    isRecurring: false
+  }
+}
+
+/**
+ * Due info of a parsed movie or book
+ * (lists saved before due info was kept only have `dueDate`)
+ */
+export function itemDue(item) {
+  return item.due || scheduleToDue(item.dueDate || null)
+}
+
+/**
+ * "Сегодня, 21:00", "Завтра", "12 мая" (month: 'short' or 'long')
+ */
+export function formatDue(due, month = 'short') {
+  if (!due?.date) return null
+
+  const date = new Date(`${due.date}T00:00:00`)
+  const today = new Date()
+  today.setHours(0, 0, 0, 0)
+  const tomorrow = new Date(today)
+  tomorrow.setDate(tomorrow.getDate() + 1)
+
+  let label
+  if (date.toDateString() === today.toDateString()) {
+    label = 'Сегодня'
+  } else if (date.toDateString() === tomorrow.toDateString()) {
+    label = 'Завтра'
+  } else {
+    label = date.toLocaleDateString('ru-RU', { day: 'numeric', month })
+  }
+  return due.time ? `${label}, ${due.time}` : label
+}
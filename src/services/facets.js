@@ -0,0 +1,121 @@
+// Multi-select facets: Todoist labels, and genre, country, decade and original
+// language built from TMDB details for movies and Open Library data for books.
+// Values of one facet are alternatives (any of them), facets combine (all of them).
+
+// Facet → filter key holding the selected values; `fromDetails` facets only
+// have values once TMDB details are loaded
+export const FACETS = [
+  { key: 'labels', label: 'Метка' },
+  { key: 'genres', label: 'Жанр', fromDetails: true },
+  { key: 'countries', label: 'Страна', fromDetails: true },
+  { key: 'decades', label: 'Десятилетие' },
+  { key: 'languages', label: 'Язык оригинала', fromDetails: true }
+]
+
+export const FACET_KEYS = FACETS.map(facet => facet.key)
+
+const regionNames = typeof Intl.DisplayNames === 'function'
+  ? new Intl.DisplayNames(['ru'], { type: 'region' })
+  : null
+const languageNames = typeof Intl.DisplayNames === 'function'
+  ? new Intl.DisplayNames(['ru'], { type: 'language' })
+  : null
+
+// Open Library uses MARC codes; these differ from ISO 639-2 terminology codes
+const MARC_LANGUAGES = {
+  ger: 'deu',
+  fre: 'fra',
+  chi: 'zho',
+  cze: 'ces',
+  dut: 'nld',
+  gre: 'ell',
+  per: 'fas',
+  rum: 'ron',
+  slo: 'slk',
+  arm: 'hye',
+  geo: 'kat',
+  ice: 'isl',
+  mac: 'mkd',
+  may: 'msa',
+  alb: 'sqi',
+  baq: 'eus',
+  wel: 'cym'
+}
+
+function displayName(names, code) {
+  try {
+    const name = names?.of(code)
+    return name && name !== code ? name.charAt(0).toUpperCase() + name.slice(1) : code
+  } catch {
+    // Codes Intl does not know (e.g. "xx" for no language)
+    return code
+  }
+}
+
+const LABELS = {
+  labels: value => `@${value}`,
+  genres: value => value,
+  countries: value => displayName(regionNames, value),
+  decades: value => `${value}-е`,
+  languages: value => displayName(languageNames, MARC_LANGUAGES[value] || value)
+}
+
+function decadeOf(year) {
+  const number = Number(year)
+  return number ? [String(Math.floor(number / 10) * 10)] : []
+}
+
+/**
+ * Facet values of a movie with its TMDB data: { labels, genres, countries, decades, languages }
+ */
+export function movieFacetValues(movie, tmdb) {
+  const details = tmdb?.details
+  return {
+    labels: movie.labels || [],
+    genres: (details?.genres || []).map(genre => genre.name),
+    countries: (details?.productionCountries || []).map(country => country.iso_3166_1),
+    decades: decadeOf(movie.year || tmdb?.releaseDate?.slice(0, 4)),
+    languages: details?.originalLanguage ? [details.originalLanguage] : []
+  }
+}
+
+/**
+ * Facet values of a book with its Open Library data (books have no country)
+ */
+export function bookFacetValues(book, openlib) {
+  return {
+    labels: book.labels || [],
+    genres: openlib?.subjects || [],
+    countries: [],
+    decades: decadeOf(book.year || openlib?.firstPublishYear),
+    languages: openlib?.language ? [openlib.language] : []
+  }
+}
+
+/**
+ * True if the item has one of the selected values in every facet with a selection
+ */
+export function matchesFacets(values, filters) {
+  return FACET_KEYS.every(key => {
+    const selected = filters[key] || []
+    return selected.length === 0 || values[key].some(value => selected.includes(value))
+  })
+}
+
+/**
+ * Options of one facet for the items: [{ value, label, count }], most common first.
+ * Selected values stay listed even when nothing has them.
+ */
+export function facetOptions(items, key, valuesFor, selected = []) {
+  const counts = new Map(selected.map(value => [value, 0]))
+  items.forEach(item => {
+    new Set(valuesFor(item)[key]).forEach(value => {
+      counts.set(value, (counts.get(value) || 0) + 1)
+    })
+  })
+
+  const options = [...counts].map(([value, count]) => ({ value, label: LABELS[key](value), count }))
+  return key === 'decades'
+    ? options.sort((a, b) => b.value.localeCompare(a.value))
+    : options.sort((a, b) => b.count - a.count || a.label.localeCompare(b.label, 'ru'))
+}
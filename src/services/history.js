@@ -0,0 +1,126 @@
+// Watch/read history: completed tasks of the movies and books projects
+// together with the review tasks created when an item was marked done
+import { fetchCompletedTasks, fetchTasksByFilter } from './todoistClient.js'
+import { fetchWatchedMovies, reopenMovieTask } from './todoist.js'
+import { fetchReadBooks, reopenBookTask } from './books.js'
+import { fetchReview, parseReview } from './review.js'
+
+// Todoist allows about 3 months per completed-tasks request
+export const HISTORY_WINDOW_DAYS = 90
+
+const REVIEW_PREFIX = 'Написать отзыв'
+const TODOIST_TASK_URL = 'https://app.todoist.com/app/task'
+
+/**
+ * Link to a task in the Todoist web app
+ */
+export function getTaskUrl(taskId) {
+  return `${TODOIST_TASK_URL}/${taskId}`
+}
+
+/**
+ * Title inside «…» of a review task
+ */
+function reviewTitle(content) {
+  const match = content.match(/«(.+)»/)
+  return match ? match[1].trim().toLowerCase() : null
+}
+
+/**
+ * Review tasks (active and completed in the window) keyed by lowercased title
+ */
+async function fetchReviewTasks(apiToken, since, until, options) {
+  const [active, completed] = await Promise.all([
+    fetchTasksByFilter(apiToken, `search: ${REVIEW_PREFIX}`, options),
+    fetchCompletedTasks(apiToken, since, until, options)
+  ])
+
+  const reviews = new Map()
+  const add = (task, isCompleted) => {
+    if (!task.content.startsWith(REVIEW_PREFIX)) return
+    const title = reviewTitle(task.content)
+    if (!title || reviews.has(title)) return
+    reviews.set(title, {
+      id: task.id,
+      url: getTaskUrl(task.id),
+      completed: isCompleted,
+      description: task.description || ''
+    })
+  }
+  active.forEach(task => add(task, false))
+  completed.forEach(task => add(task, true))
+  return reviews
+}
+
+// Parallel comment requests; more run into Todoist's rate limit
+const REVIEW_CONCURRENCY = 3
+
+/**
+ * Review comments of completed items, keyed by task ID.
+ * Only tasks known to have comments are queried, a few at a time.
+ */
+async function fetchItemReviews(apiToken, items, options) {
+  const queue = items.filter(item => item.noteCount > 0)
+  const reviews = new Map()
+
+  async function worker() {
+    while (queue.length > 0) {
+      const item = queue.shift()
+      try {
+        const review = await fetchReview(apiToken, item.id, options)
+        if (review) reviews.set(item.id, review)
+      } catch (e) {
+        if (options.signal?.aborted) throw e
+        console.warn(`History: Failed to load review for "${item.title}":`, e.message)
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: REVIEW_CONCURRENCY }, worker))
+  return reviews
+}
+
+/**
+ * Load one window of history for 'movies' or 'books', newest first.
+ * Returns { entries, since } where `since` is the start of the next older window.
+ * Entry: { id, kind, item, completedAt, review, myReview, myRating }
+ * `review` is the "write a review" task, `myReview` the parsed review comment.
+ */
+export async function fetchHistory(apiToken, kind, until = new Date(), options = {}) {
+  const since = new Date(until.getTime() - HISTORY_WINDOW_DAYS * 24 * 60 * 60 * 1000)
+
+  const fetchCompletedItems = kind === 'books' ? fetchReadBooks : fetchWatchedMovies
+  const [items, reviews] = await Promise.all([
+    fetchCompletedItems(apiToken, since, until, options),
+    fetchReviewTasks(apiToken, since, until, options)
+  ])
+
+  const itemReviews = await fetchItemReviews(apiToken, items, options)
+
+  const entries = items
+    .map(item => {
+      const review = reviews.get(item.title.toLowerCase()) || null
+      // Older entries may have the rating in the review task description
+      const myReview = itemReviews.get(item.id) || parseReview(review?.description) || null
+      return {
+        id: item.id,
+        kind,
+        item,
+        completedAt: item.completedAt,
+        review,
+        myReview,
+        myRating: myReview?.rating ?? null
+      }
+    })
+    .sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt))
+
+  return { entries, since }
+}
+
+/**
+ * "Watch again" / "Read again": reopen the task so it returns to the list
+ */
+export async function reopenHistoryEntry(apiToken, entry) {
+  const reopen = entry.kind === 'books' ? reopenBookTask : reopenMovieTask
+  return await reopen(apiToken, entry.id)
+}
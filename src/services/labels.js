@@ -0,0 +1,56 @@
+// Todoist labels and priorities of movie and book tasks.
+// The API counts priority up (4 is the most urgent), while Todoist shows it
+// as P1…P4 with P1 on top; everything user-facing uses the P-names.
+
+// API priority → how Todoist shows it; P4 is the default and gets no badge
+export const PRIORITIES = [
+  { value: 4, short: 'P1', label: 'Срочно', color: '#d1453b' },
+  { value: 3, short: 'P2', label: 'Высокий', color: '#eb8909' },
+  { value: 2, short: 'P3', label: 'Средний', color: '#246fe0' },
+  { value: 1, short: 'P4', label: 'Обычный', color: null }
+]
+
+export const DEFAULT_PRIORITY = 1
+
+/**
+ * Priority shown for an item, or null for the default one
+ */
+export function priorityBadge(priority) {
+  if (!priority || priority === DEFAULT_PRIORITY) return null
+  return PRIORITIES.find(p => p.value === priority) || null
+}
+
+/**
+ * Label name as Todoist stores it: no leading "@", no surrounding spaces.
+ * Returns '' for nothing usable.
+ */
+export function normalizeLabel(name) {
+  return String(name).trim().replace(/^@+/, '').trim()
+}
+
+/**
+ * Labels with one added (an existing one is matched without case)
+ */
+export function addLabel(labels, name) {
+  const label = normalizeLabel(name)
+  if (!label || labels.some(l => l.toLowerCase() === label.toLowerCase())) return labels
+  return [...labels, label]
+}
+
+/**
+ * Every label used in the list, most used first
+ */
+export function knownLabels(items) {
+  const counts = new Map()
+  items.forEach(item => (item.labels || []).forEach(label => {
+    counts.set(label, (counts.get(label) || 0) + 1)
+  }))
+  return [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0], 'ru')).map(([label]) => label)
+}
+
+/**
+ * Comparator: most urgent first, list order kept within a priority
+ */
+export function byPriority(a, b) {
+  return (b.priority || DEFAULT_PRIORITY) - (a.priority || DEFAULT_PRIORITY)
+}
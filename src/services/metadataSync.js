@@ -0,0 +1,161 @@
+// Metadata write-back: normalized TMDB block in movie task descriptions.
+// The block is written in the description grammar (see parser.js), so the
+// next load reads it back and TMDB lookups go straight to the stored ID.
+import { parseMetadataLine } from './parser.js'
+import { formatRuntime, updateMovieDescription } from './todoist.js'
+
+/**
+ * Block fields from TMDB data of a movie (search result with `details`)
+ */
+export function buildMetadata(movie, tmdb) {
+  const details = tmdb?.details || {}
+  const year = parseInt(tmdb?.releaseDate?.slice(0, 4)) || movie.year || null
+  const originalTitle = tmdb?.originalTitle && tmdb.originalTitle !== movie.title
+    ? tmdb.originalTitle
+    : null
+
+  return {
+    tmdb: { id: tmdb.id, isTV: !!tmdb.isTV },
+    originalTitle,
+    year,
+    runtime: details.runtime || null,
+    genres: (details.genres || []).map(g => g.name),
+    director: details.director || null
+  }
+}
+
+/**
+ * Block lines in the order they are written
+ */
+export function formatMetadataBlock(meta) {
+  const lines = [`TMDB ID: ${meta.tmdb.isTV ? 'tv' : 'movie'}/${meta.tmdb.id}`]
+  if (meta.originalTitle) lines.push(`Оригинальное название: ${meta.originalTitle}`)
+  if (meta.year) lines.push(`Год: ${meta.year}`)
+  if (meta.runtime) lines.push(formatRuntime(meta.runtime))
+  if (meta.genres.length > 0) lines.push(`Жанр: ${meta.genres.join(', ')}`)
+  if (meta.director) lines.push(`Режиссёр: ${meta.director}`)
+  return lines
+}
+
+function metadataEntries(raw) {
+  const line = raw.replace(/\*\*/g, '').trim()
+  return line ? parseMetadataLine(line) : null
+}
+
+// A non-blank line of the user's text; "Почему посмотреть: ..." counts as text
+function isFreeText(raw) {
+  if (!raw.trim()) return false
+  const entries = metadataEntries(raw)
+  return !entries || entries.some(entry => entry.type === 'reason')
+}
+
+/**
+ * Description with the block replaced; every other line is copied verbatim.
+ * The block goes where its first old line was, or on top (before a blank
+ * line if the description starts with free text).
+ * Only entries the block rewrites are dropped (no TMDB runtime keeps the user's).
+ */
+export function rewriteDescription(description, meta) {
+  const block = formatMetadataBlock(meta)
+  if (!(description || '').trim()) return block.join('\n')
+
+  const replacedKeys = new Set(block.flatMap(line => parseMetadataLine(line)).map(entry => entry.key))
+  const lines = []
+  let blockAt = -1
+
+  description.split('\n').forEach(raw => {
+    // Free text and lines the block does not rewrite are never touched
+    const entries = isFreeText(raw) ? null : metadataEntries(raw)
+    if (!entries || !entries.some(entry => replacedKeys.has(entry.key))) {
+      lines.push(raw)
+      return
+    }
+    if (blockAt === -1) blockAt = lines.length
+    const kept = entries.filter(entry => !replacedKeys.has(entry.key))
+    if (kept.length > 0) {
+      lines.push(kept.map(entry => entry.text).join(', '))
+    }
+  })
+
+  if (blockAt !== -1) {
+    lines.splice(blockAt, 0, ...block)
+    return lines.join('\n')
+  }
+  const separator = isFreeText(lines[0]) ? [''] : []
+  return [...block, ...separator, ...lines].join('\n')
+}
+
+/**
+ * Line diff of two descriptions: [{ type: 'same' | 'added' | 'removed', text }]
+ */
+export function diffLines(before, after) {
+  const a = before ? before.split('\n') : []
+  const b = after ? after.split('\n') : []
+
+  // Longest common subsequence table
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0))
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+    }
+  }
+
+  const diff = []
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      diff.push({ type: 'same', text: a[i] })
+      i++
+      j++
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      diff.push({ type: 'removed', text: a[i++] })
+    } else {
+      diff.push({ type: 'added', text: b[j++] })
+    }
+  }
+  while (i < a.length) diff.push({ type: 'removed', text: a[i++] })
+  while (j < b.length) diff.push({ type: 'added', text: b[j++] })
+  return diff
+}
+
+/**
+ * Dry run: descriptions that would change.
+ * `getTmdbData(movieId)` returns the TMDB result loaded for the card.
+ * Returns [{ movie, before, after, diff }]
+ */
+export function planMetadataSync(movies, getTmdbData) {
+  return movies
+    .map(movie => {
+      const tmdb = getTmdbData(movie.id)
+      if (!tmdb?.id) return null
+
+      const before = movie.description || ''
+      const after = rewriteDescription(before, buildMetadata(movie, tmdb))
+      if (after === before) return null
+      return { movie, before, after, diff: diffLines(before, after) }
+    })
+    .filter(Boolean)
+}
+
+/**
+ * Write planned descriptions to Todoist one by one.
+ * Returns { updated: [{ id, description }], failed: [{ id, title, error }] }
+ */
+export async function applyMetadataSync(apiToken, plans, onProgress = null) {
+  const updated = []
+  const failed = []
+
+  for (const plan of plans) {
+    try {
+      await updateMovieDescription(apiToken, plan.movie.id, plan.after)
+      updated.push({ id: plan.movie.id, description: plan.after })
+    } catch (e) {
+      console.warn(`Metadata: Failed to update "${plan.movie.title}":`, e.message)
+      failed.push({ id: plan.movie.id, title: plan.movie.title, error: e.message })
+    }
+    if (onProgress) onProgress(updated.length + failed.length, plans.length)
+  }
+
+  return { updated, failed }
+}
@@ -0,0 +1,243 @@
+// Offline support: last known Todoist lists (snapshots) and a queue of
+// actions made while Todoist was unreachable (outbox)
+import { dbGet, dbPut, dbGetAll, dbDelete, dbClear } from './db.js'
+import { TodoistError, TODOIST_ERRORS } from './todoistClient.js'
+import { completeTask, createMovieReviewTask, updateTaskDueDate, updateMovieTask } from './todoist.js'
+import { completeBookTask, createBookReviewTask, updateBookDueDate, updateBookTask } from './books.js'
+import { hasReviewContent, saveReview } from './review.js'
+import { scheduleToDue } from './due.js'
+
+const SNAPSHOT_VERSION = 1
+
+// Outbox action types
+export const OUTBOX_ACTIONS = {
+  COMPLETE: 'complete',
+  SCHEDULE: 'schedule',
+  // Labels and priority: { fields: { labels, priority } }
+  UPDATE: 'update'
+}
+
+/**
+ * Load saved list for 'movies' or 'books'.
+ * Returns { items, savedAt } or null.
+ */
+export async function loadSnapshot(kind) {
+  try {
+    const snapshot = await dbGet('snapshots', kind)
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) return null
+    return { items: snapshot.items, savedAt: snapshot.savedAt }
+  } catch (e) {
+    console.warn('Offline: Failed to load snapshot:', e)
+    return null
+  }
+}
+
+/**
+ * Save the last successfully fetched list
+ */
+export async function saveSnapshot(kind, items) {
+  try {
+    // Strip Vue proxies so the list can be structured-cloned
+    const plainItems = JSON.parse(JSON.stringify(items))
+    await dbPut('snapshots', { version: SNAPSHOT_VERSION, items: plainItems, savedAt: Date.now() }, kind)
+  } catch (e) {
+    console.warn('Offline: Failed to save snapshot:', e)
+  }
+}
+
+/**
+ * Remove all snapshots (e.g. after switching projects or accounts)
+ */
+export async function clearSnapshots() {
+  try {
+    await dbClear('snapshots')
+  } catch (e) {
+    console.warn('Offline: Failed to clear snapshots:', e)
+  }
+}
+
+/**
+ * Patch the current list with a freshly fetched one.
+ * Unchanged items keep their object identity so cards do not re-render.
+ * Returns { list, added, removed, updated }
+ */
+export function patchList(current, fresh) {
+  const currentById = new Map(current.map(item => [item.id, item]))
+  let added = 0
+  let updated = 0
+
+  const list = fresh.map(item => {
+    const existing = currentById.get(item.id)
+    if (!existing) {
+      added++
+      return item
+    }
+    if (JSON.stringify(existing) === JSON.stringify(item)) {
+      return existing
+    }
+    updated++
+    return item
+  })
+
+  const freshIds = new Set(fresh.map(item => item.id))
+  const removed = current.filter(item => !freshIds.has(item.id)).length
+
+  return { list, added, removed, updated }
+}
+
+/**
+ * All queued actions, oldest first
+ */
+export async function getOutbox() {
+  try {
+    return await dbGetAll('outbox')
+  } catch (e) {
+    console.warn('Offline: Failed to read outbox:', e)
+    return []
+  }
+}
+
+/**
+ * Queue an action for later replay.
+ * A new schedule for the same task replaces the queued one; updates of the
+ * same task are merged into one.
+ */
+export async function enqueueAction(action) {
+  if (action.type === OUTBOX_ACTIONS.SCHEDULE || action.type === OUTBOX_ACTIONS.UPDATE) {
+    const queued = await getOutbox()
+    for (const old of queued) {
+      if (old.type === action.type && old.taskId === action.taskId) {
+        await dbDelete('outbox', old.id)
+        if (action.type === OUTBOX_ACTIONS.UPDATE) {
+          action = { ...action, fields: { ...old.fields, ...action.fields } }
+        }
+      }
+    }
+  }
+  await dbPut('outbox', { ...action, createdAt: Date.now() })
+}
+
+/**
+ * Apply queued actions to a list so it reflects what the user already did
+ */
+export function applyPendingActions(items, actions, kind) {
+  const relevant = actions.filter(a => a.kind === kind)
+  if (relevant.length === 0) return items
+
+  const completed = new Set(relevant
+    .filter(a => a.type === OUTBOX_ACTIONS.COMPLETE)
+    .map(a => a.taskId))
+  // Actions queued before schedules were kept only have `date`
+  const schedules = new Map(relevant
+    .filter(a => a.type === OUTBOX_ACTIONS.SCHEDULE)
+    .map(a => [a.taskId, a.schedule ?? a.date]))
+  const updates = new Map(relevant
+    .filter(a => a.type === OUTBOX_ACTIONS.UPDATE)
+    .map(a => [a.taskId, a.fields]))
+
+  return items
+    .filter(item => !completed.has(item.id))
+    .map(item => {
+      if (updates.has(item.id)) item = { ...item, ...updates.get(item.id) }
+      if (!schedules.has(item.id)) return item
+      const due = scheduleToDue(schedules.get(item.id), item.due)
+      return { ...item, due, dueDate: due?.date || null }
+    })
+}
+
+// Run one step of a multi-step action unless an earlier attempt already did it.
+// Done steps are recorded on the action (`done`) and reported through `onProgress`,
+// so a retry after a failure in a later step does not repeat them.
+async function runStep(action, step, run, onProgress) {
+  if (action.done?.[step]) return
+  await run()
+  action.done = { ...action.done, [step]: true }
+  await onProgress?.(action)
+}
+
+/**
+ * Send a single queued action to Todoist.
+ * Options: { onProgress(action) } — called after each finished step of a
+ * COMPLETE action, e.g. to save the progress of an outbox record.
+ */
+export async function executeAction(apiToken, action, { onProgress } = {}) {
+  const isBook = action.kind === 'books'
+
+  if (action.type === OUTBOX_ACTIONS.COMPLETE) {
+    // The review is attached before closing so it is never lost with the task
+    if (hasReviewContent(action.review)) {
+      await runStep(action, 'review', () => saveReview(apiToken, action.taskId, action.review), onProgress)
+    }
+
+    await runStep(action, 'close', () => isBook
+      ? completeBookTask(apiToken, action.taskId)
+      : completeTask(apiToken, action.taskId), onProgress)
+
+    // A "write a review" reminder is only needed if no notes were written
+    if (!action.review?.notes?.trim()) {
+      const createReviewTask = isBook ? createBookReviewTask : createMovieReviewTask
+      await runStep(action, 'reminder', () => createReviewTask(apiToken, action.title), onProgress)
+    }
+    return
+  }
+
+  if (action.type === OUTBOX_ACTIONS.SCHEDULE) {
+    const update = isBook ? updateBookDueDate : updateTaskDueDate
+    await update(apiToken, action.taskId, action.schedule ?? action.date)
+  }
+
+  if (action.type === OUTBOX_ACTIONS.UPDATE) {
+    const update = isBook ? updateBookTask : updateMovieTask
+    await update(apiToken, action.taskId, action.fields)
+  }
+}
+
+// Replay in progress, shared by every caller so no action is sent twice
+let replaying = null
+
+// Codes for which an action can never succeed; anything else
+// (offline, expired token, rate limit, server down) is retried later
+const REJECTED_CODES = [TODOIST_ERRORS.NOT_FOUND, TODOIST_ERRORS.FORBIDDEN, TODOIST_ERRORS.HTTP]
+
+function isRejected(error) {
+  return error instanceof TodoistError && REJECTED_CODES.includes(error.code)
+}
+
+/**
+ * Replay queued actions in order.
+ * Actions rejected by Todoist (e.g. task already deleted) are dropped; any
+ * other error stops the replay and keeps the rest of the queue.
+ * A call during a replay gets the result of the running one.
+ * Returns { sent, failed, remaining, error }; `error` is what stopped the replay.
+ */
+export function replayOutbox(apiToken) {
+  if (!replaying) {
+    replaying = replayQueued(apiToken).finally(() => {
+      replaying = null
+    })
+  }
+  return replaying
+}
+
+async function replayQueued(apiToken) {
+  const actions = await getOutbox()
+  let sent = 0
+  let failed = 0
+
+  for (const action of actions) {
+    try {
+      await executeAction(apiToken, action, { onProgress: done => dbPut('outbox', done) })
+      sent++
+    } catch (e) {
+      if (!isRejected(e)) {
+        return { sent, failed, remaining: actions.length - sent - failed, error: e }
+      }
+      console.warn('Offline: Dropping action rejected by Todoist:', action, e)
+      failed++
+    }
+    await dbDelete('outbox', action.id)
+  }
+
+  if (sent > 0) console.log(`Offline: Replayed ${sent} queued actions`)
+  return { sent, failed, remaining: 0, error: null }
+}
@@ -1,103 +1,23 @@
 // Open Library + Google Books API Service for book covers and info
+import { resolveTitle, transliterate, TITLE_SOURCES } from './titleResolver.js'
+import { createCache, clearCache, flushCache } from './cache.js'
+import { scheduledFetch, isAbortError, PRIORITY } from './scheduler.js'
+
 const OPEN_LIBRARY_API = 'https://openlibrary.org'
 const COVERS_URL = 'https://covers.openlibrary.org'
 const GOOGLE_BOOKS_API = 'https://www.googleapis.com/books/v1/volumes'
 
-// In-memory cache
-const cache = new Map()
-
-// LocalStorage cache
-const CACHE_STORAGE_KEY = 'openlib_books_cache'
-const CACHE_VERSION = 2 // Bumped to invalidate old cache without Google Books covers
-const CACHE_EXPIRY_DAYS = 30
-
-/**
- * Load cache from localStorage
- */
-function loadCacheFromStorage() {
-  try {
-    const cached = localStorage.getItem(CACHE_STORAGE_KEY)
-    if (!cached) return
-
-    const parsed = JSON.parse(cached)
-
-    if (parsed.version !== CACHE_VERSION) {
-      console.log('OpenLib: Cache version mismatch, clearing')
-      localStorage.removeItem(CACHE_STORAGE_KEY)
-      return
-    }
-
-    if (parsed.expiry && parsed.expiry < Date.now()) {
-      console.log('OpenLib: Cache expired, clearing')
-      localStorage.removeItem(CACHE_STORAGE_KEY)
-      return
-    }
-
-    if (parsed.data) {
-      Object.entries(parsed.data).forEach(([key, value]) => {
-        cache.set(key, value)
-      })
-      console.log(`OpenLib: Loaded ${Object.keys(parsed.data).length} cached results`)
-    }
-  } catch (e) {
-    console.warn('OpenLib: Failed to load cache:', e)
-    localStorage.removeItem(CACHE_STORAGE_KEY)
-  }
-}
-
-/**
- * Save cache to localStorage
- */
-export function saveCacheToStorage() {
-  try {
-    const cacheData = {}
-    cache.forEach((value, key) => {
-      cacheData[key] = value
-    })
-
-    const toStore = {
-      version: CACHE_VERSION,
-      expiry: Date.now() + (CACHE_EXPIRY_DAYS * 24 * 60 * 60 * 1000),
-      data: cacheData
-    }
-
-    const jsonString = JSON.stringify(toStore)
-    if (jsonString.length > 4 * 1024 * 1024) {
-      console.warn('OpenLib: Cache too large, clearing oldest entries')
-      const entries = Object.entries(cacheData)
-      const toKeep = entries.slice(0, Math.floor(entries.length * 0.8))
-      toStore.data = Object.fromEntries(toKeep)
-    }
+// Search results with covers (see cache.js)
+const cache = createCache('books', { version: 3 })
 
-    localStorage.setItem(CACHE_STORAGE_KEY, JSON.stringify(toStore))
-  } catch (e) {
-    console.warn('OpenLib: Failed to save cache:', e)
-    if (e.name === 'QuotaExceededError') {
-      localStorage.removeItem(CACHE_STORAGE_KEY)
-    }
-  }
-}
+// Pre-IndexedDB cache, superseded by cache.js
+localStorage.removeItem('openlib_books_cache')
 
 /**
  * Clear cache
  */
-export function clearOpenLibCache() {
-  cache.clear()
-  localStorage.removeItem(CACHE_STORAGE_KEY)
-  console.log('OpenLib cache cleared')
-}
-
-// Load cache on init
-loadCacheFromStorage()
-
-// Debounced save
-let saveCacheTimeout = null
-function debouncedSaveCache() {
-  if (saveCacheTimeout) clearTimeout(saveCacheTimeout)
-  saveCacheTimeout = setTimeout(() => {
-    saveCacheToStorage()
-    saveCacheTimeout = null
-  }, 1000)
+export async function clearOpenLibCache() {
+  await clearCache('books')
 }
 
 /**
@@ -114,27 +34,6 @@ function cleanTitle(title) {
     .trim()
 }
 
-/**
- * Translate common Russian book titles to English
- */
-const TITLE_TRANSLATIONS = {
-  'Война и мир': 'War and Peace',
-  'Преступление и наказание': 'Crime and Punishment',
-  'Анна Каренина': 'Anna Karenina',
-  'Мастер и Маргарита': 'The Master and Margarita',
-  'Братья Карамазовы': 'The Brothers Karamazov',
-  'Идиот': 'The Idiot',
-  '1984': '1984',
-  'Гарри Поттер': 'Harry Potter',
-  'Властелин колец': 'Lord of the Rings',
-  'Маленький принц': 'The Little Prince',
-  'Три товарища': 'Three Comrades',
-  'Над пропастью во ржи': 'The Catcher in the Rye',
-  'Убить пересмешника': 'To Kill a Mockingbird',
-  'Великий Гэтсби': 'The Great Gatsby',
-  'Портрет Дориана Грея': 'The Picture of Dorian Gray'
-}
-
 /**
  * Try to find a search result with a cover from a list of docs
  */
@@ -147,149 +46,177 @@ function findBestResultWithCover(docs) {
 }
 
 /**
- * Perform a search query on Open Library
+ * Perform a search query on Open Library.
+ * `request` ({ priority, signal }) is passed to the scheduler, as everywhere below.
+ * Returns null only when nothing was found; failures throw, so an outage
+ * is not cached as "no cover".
  */
-async function performOpenLibSearch(query) {
-  try {
-    const response = await fetch(`${OPEN_LIBRARY_API}/search.json?${query}&limit=5`)
-    if (!response.ok) return null
-    const data = await response.json()
-    if (!data.docs || data.docs.length === 0) return null
-    return findBestResultWithCover(data.docs)
-  } catch (e) {
-    console.warn('OpenLib search failed:', e.message)
-    return null
+async function performOpenLibSearch(query, request = {}) {
+  const response = await scheduledFetch(`${OPEN_LIBRARY_API}/search.json?${query}&limit=5`, request)
+  if (!response.ok) {
+    throw new Error(`OpenLib API error: ${response.status} ${response.statusText}`)
   }
+  const data = await response.json()
+  if (!data.docs || data.docs.length === 0) return null
+  return findBestResultWithCover(data.docs)
 }
 
 /**
  * Search Google Books API for a cover image
- * Google Books has much better coverage for Russian-language books
+ * Google Books has much better coverage for Russian-language books.
+ * Failures throw, as in performOpenLibSearch.
  */
-async function searchGoogleBooks(title, author = null) {
-  try {
-    // Build query: "intitle:Title+inauthor:Author" or just the title
-    let q = title
-    if (author) {
-      q = `${title} ${author}`
-    }
+async function searchGoogleBooks(title, author = null, request = {}) {
+  // Build query: "intitle:Title+inauthor:Author" or just the title
+  let q = title
+  if (author) {
+    q = `${title} ${author}`
+  }
 
-    const url = `${GOOGLE_BOOKS_API}?q=${encodeURIComponent(q)}&maxResults=5&printType=books`
-    const response = await fetch(url)
-    if (!response.ok) return null
-
-    const data = await response.json()
-    if (!data.items || data.items.length === 0) return null
-
-    // Find the best result with a cover image
-    for (const item of data.items) {
-      const imageLinks = item.volumeInfo?.imageLinks
-      if (imageLinks) {
-        // Get the best available thumbnail and convert to HTTPS
-        let coverUrl = imageLinks.thumbnail || imageLinks.smallThumbnail
-        if (coverUrl) {
-          coverUrl = coverUrl.replace(/^http:/, 'https:')
-          // Request higher quality: zoom=2 for better resolution
-          coverUrl = coverUrl.replace(/zoom=\d/, 'zoom=2')
-
-          return {
-            coverUrl,
-            // Also extract useful metadata from Google Books
-            googleTitle: item.volumeInfo.title,
-            googleAuthors: item.volumeInfo.authors || [],
-            googlePages: item.volumeInfo.pageCount || null,
-            googleRating: item.volumeInfo.averageRating || null,
-            googleDescription: item.volumeInfo.description || null
-          }
+  const url = `${GOOGLE_BOOKS_API}?q=${encodeURIComponent(q)}&maxResults=5&printType=books`
+  const response = await scheduledFetch(url, request)
+  if (!response.ok) {
+    throw new Error(`Google Books API error: ${response.status} ${response.statusText}`)
+  }
+
+  const data = await response.json()
+  if (!data.items || data.items.length === 0) return null
+
+  // Find the best result with a cover image
+  for (const item of data.items) {
+    const imageLinks = item.volumeInfo?.imageLinks
+    if (imageLinks) {
+      // Get the best available thumbnail and convert to HTTPS
+      let coverUrl = imageLinks.thumbnail || imageLinks.smallThumbnail
+      if (coverUrl) {
+        coverUrl = coverUrl.replace(/^http:/, 'https:')
+        // Request higher quality: zoom=2 for better resolution
+        coverUrl = coverUrl.replace(/zoom=\d/, 'zoom=2')
+
+        return {
+          coverUrl,
+          // Also extract useful metadata from Google Books
+          googleTitle: item.volumeInfo.title,
+          googleAuthors: item.volumeInfo.authors || [],
+          googlePages: item.volumeInfo.pageCount || null,
+          googleRating: item.volumeInfo.averageRating || null,
+          googleDescription: item.volumeInfo.description || null
         }
       }
     }
-
-    // If no items with covers, try the first result anyway for metadata
-    return null
-  } catch (e) {
-    console.warn('Google Books search failed:', e.message)
-    return null
   }
+
+  // If no items with covers, try the first result anyway for metadata
+  return null
+}
+
+/**
+ * Latin letters and digits only, for comparing transliterated titles
+ */
+function latinKey(text) {
+  return transliterate(text || '').toLowerCase().replace(/[^a-z0-9]/g, '')
 }
 
 /**
- * Search for a book using Open Library + Google Books fallback
+ * Search for a book using Open Library + Google Books fallback.
+ * The title goes through the title resolver (see titleResolver.js).
+ * Options: { request } for the scheduler
  */
-export async function searchBook(title, author = null) {
+export async function searchBook(title, author = null, options = {}) {
   const cleanedTitle = cleanTitle(title)
-  const searchTitle = TITLE_TRANSLATIONS[cleanedTitle] || cleanedTitle
-  const cacheKey = `${searchTitle}-${author || ''}`
+  const cacheKey = `${cleanedTitle}-${author || ''}`
 
-  if (cache.has(cacheKey)) {
-    return cache.get(cacheKey)
+  try {
+    return await cache.read('covers', cacheKey, async () => {
+      const { result } = await resolveTitle(cleanedTitle, 'books', async (query, source) => {
+        const found = await lookupBook(query, author, options.request)
+        // A transliterated query only counts if it found that very title
+        if (found && source === TITLE_SOURCES.TRANSLIT) {
+          const wanted = latinKey(query)
+          const got = latinKey(found.title)
+          if (!got.includes(wanted) && !wanted.includes(got)) return null
+        }
+        return found
+      })
+      return result
+    })
+  } catch (error) {
+    if (!isAbortError(error)) console.error('Book search error:', error)
+    return null
   }
+}
+
+/**
+ * Forget cached searches for these titles (after dictionary edits)
+ */
+export async function forgetCachedTitles(titles) {
+  const prefixes = titles.map(title => `${cleanTitle(title)}-`)
+  await cache.deleteWhere(key => prefixes.some(prefix => key.startsWith(prefix)))
+}
 
+/**
+ * Look up one query in Open Library, with Google Books for covers.
+ * Returns a normalized result or null.
+ */
+async function lookupBook(searchTitle, author = null, request = {}) {
   console.log(`Books: Searching for "${searchTitle}"${author ? ` by ${author}` : ''}`)
 
-  try {
-    let result = null
+  let result = null
 
-    // --- Open Library search (1-2 quick attempts) ---
+  // --- Open Library search (1-2 quick attempts) ---
 
-    // Try with title + author first
-    if (author) {
-      const query = `q=${encodeURIComponent(`${searchTitle} ${author}`)}`
-      result = await performOpenLibSearch(query)
-    }
+  // Try with title + author first
+  if (author) {
+    const query = `q=${encodeURIComponent(`${searchTitle} ${author}`)}`
+    result = await performOpenLibSearch(query, request)
+  }
 
-    // Try title only if no cover found
-    if (!result || !result.coverId) {
-      const query = `title=${encodeURIComponent(searchTitle)}`
-      const titleResult = await performOpenLibSearch(query)
-      if (titleResult && (!result || titleResult.coverId)) {
-        result = titleResult
-      }
+  // Try title only if no cover found
+  if (!result || !result.coverId) {
+    const query = `title=${encodeURIComponent(searchTitle)}`
+    const titleResult = await performOpenLibSearch(query, request)
+    if (titleResult && (!result || titleResult.coverId)) {
+      result = titleResult
     }
+  }
 
-    // --- Google Books fallback for covers ---
-    if (!result || !result.coverId) {
-      console.log(`Books: OpenLib no cover for "${searchTitle}", trying Google Books...`)
-      const googleResult = await searchGoogleBooks(searchTitle, author)
-
-      if (googleResult?.coverUrl) {
-        if (!result) {
-          // No Open Library result at all — create a minimal result from Google Books
-          result = {
-            key: null,
-            title: googleResult.googleTitle || searchTitle,
-            author: googleResult.googleAuthors?.[0] || author,
-            authors: googleResult.googleAuthors || [],
-            firstPublishYear: null,
-            coverId: null,
-            coverUrl: googleResult.coverUrl,
-            isbn: null,
-            subjects: [],
-            language: null,
-            pages: googleResult.googlePages,
-            editionCount: null,
-            ratingsAverage: googleResult.googleRating,
-            ratingsCount: null
-          }
-        } else {
-          // Open Library result exists but without cover — add Google Books cover
-          result.coverUrl = googleResult.coverUrl
-          // Fill in missing metadata from Google Books
-          if (!result.pages && googleResult.googlePages) {
-            result.pages = googleResult.googlePages
-          }
+  // --- Google Books fallback for covers ---
+  if (!result || !result.coverId) {
+    console.log(`Books: OpenLib no cover for "${searchTitle}", trying Google Books...`)
+    const googleResult = await searchGoogleBooks(searchTitle, author, request)
+
+    if (googleResult?.coverUrl) {
+      if (!result) {
+        // No Open Library result at all — create a minimal result from Google Books
+        result = {
+          key: null,
+          title: googleResult.googleTitle || searchTitle,
+          author: googleResult.googleAuthors?.[0] || author,
+          authors: googleResult.googleAuthors || [],
+          firstPublishYear: null,
+          coverId: null,
+          coverUrl: googleResult.coverUrl,
+          isbn: null,
+          subjects: [],
+          language: null,
+          pages: googleResult.googlePages,
+          editionCount: null,
+          ratingsAverage: googleResult.googleRating,
+          ratingsCount: null
+        }
+      } else {
+        // Open Library result exists but without cover — add Google Books cover
+        result.coverUrl = googleResult.coverUrl
+        // Fill in missing metadata from Google Books
+        if (!result.pages && googleResult.googlePages) {
+          result.pages = googleResult.googlePages
         }
-        console.log(`Books: Google Books cover found for "${searchTitle}"`)
       }
+      console.log(`Books: Google Books cover found for "${searchTitle}"`)
     }
-
-    cache.set(cacheKey, result)
-    debouncedSaveCache()
-    return result
-  } catch (error) {
-    console.error('Book search error:', error)
-    return null
   }
+
+  return result
 }
 
 /**
@@ -352,58 +279,40 @@ export function getCoverByIsbn(isbn, size = 'M') {
 }
 
 /**
- * Batch search books with parallel processing
+ * Look up covers for all books through the scheduler.
+ * Options: { signal } cancels the load, { isVisible(book) } puts
+ * the book in the visible lane so on-screen cards load first.
  */
-export async function batchSearchBooks(books, onProgress = null) {
+export async function batchSearchBooks(books, onProgress = null, options = {}) {
   const results = new Map()
   let completed = 0
 
-  const BATCH_SIZE = 3 // Smaller batch for Open Library to avoid rate limiting
-
-  const batches = []
-  for (let i = 0; i < books.length; i += BATCH_SIZE) {
-    batches.push(books.slice(i, i + BATCH_SIZE))
-  }
-
-  console.log(`OpenLib: Processing ${books.length} books in ${batches.length} batches`)
-
-  for (const batch of batches) {
-    const batchPromises = batch.map(async (book) => {
-      let searchResult = null
+  console.log(`OpenLib: Processing ${books.length} books`)
 
-      try {
-        searchResult = await searchBook(book.title, book.author)
-      } catch (error) {
-        console.error(`OpenLib: Error searching for "${book.title}":`, error)
-        searchResult = null
-      }
-
-      return { bookId: book.id, result: searchResult }
-    })
-
-    const batchResults = await Promise.all(batchPromises)
+  await Promise.all(books.map(async (book) => {
+    const request = {
+      priority: options.isVisible?.(book) ? PRIORITY.VISIBLE : PRIORITY.BACKGROUND,
+      signal: options.signal
+    }
+    let searchResult = null
 
-    batchResults.forEach(({ bookId, result }) => {
-      results.set(bookId, result)
-      completed++
-      if (onProgress) {
-        onProgress(completed, books.length)
-      }
-    })
+    try {
+      searchResult = await searchBook(book.title, book.author, { request })
+    } catch (error) {
+      console.error(`OpenLib: Error searching for "${book.title}":`, error)
+      searchResult = null
+    }
 
-    // Delay between batches to avoid rate limiting
-    if (batch !== batches[batches.length - 1]) {
-      await new Promise(resolve => setTimeout(resolve, 200))
+    results.set(book.id, searchResult)
+    completed++
+    if (onProgress) {
+      onProgress(completed, books.length)
     }
-  }
+  }))
 
-  // Final save
-  if (saveCacheTimeout) {
-    clearTimeout(saveCacheTimeout)
-    saveCacheTimeout = null
-  }
-  saveCacheToStorage()
-  console.log('OpenLib: Batch search complete')
+  // Write access times of the entries used by this load
+  flushCache()
+  console.log(options.signal?.aborted ? 'OpenLib: Batch search cancelled' : 'OpenLib: Batch search complete')
 
   return results
 }
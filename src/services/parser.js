@@ -0,0 +1,283 @@
+// Task title and description parser shared by movies and books.
+//
+// Title grammar (a separator is "—", "–" or "-" with spaces around it;
+// a hyphen inside a word is part of the title):
+//
+//   [marker] Title [(Year)] [— Credit]
+//
+//   The last "—" or "–" separates the credit, so the title may contain
+//   " - " ("Миссия невыполнима - Последствия (2018) — Кристофер Маккуорри").
+//   A bare " - " separates it only when there is no "—"/"–" and the credit
+//   is a capitalized name ("Эпизод 4 - Новая надежда" stays in the title).
+//   marker  bullet ("•", "*", "#") or list number ("12.", "12)"); a number
+//           without "." or ")" is part of the title ("12 разгневанных мужчин"),
+//           as are numbers of 4+ digits ("1984.", "2001: ...")
+//   Year    4 digits in parentheses
+//   Credit  director for movies, author for books
+//
+// Description grammar: one entry per line; several entries may share a line
+// when separated by ", " ";" or "|". Markdown bold (**) is ignored.
+//
+//   rating   [Оценка|Рейтинг] [на] <source>[:] <number>[/10]
+//            source: Кинопоиск, IMDb, TMDB, LiveLib, Goodreads
+//   runtime  "2 ч 9 мин", "2 ч", "129 мин", "129 минут"
+//   pages    "320 стр", "320 страниц", "320 pages"
+//   author   "Автор: ...", "Author: ..."
+//   genre    "Жанр: ...", "Genre: ..."
+//   director "Режиссёр: ...", "Director: ..."
+//   original "Оригинальное название: ...", "Original title: ..."
+//   year     "Год: 2010"
+//   tmdb id  "TMDB ID: movie/27205", "TMDB ID: tv/1399" (written by metadata sync)
+//   reason   "Почему посмотреть: ...", "Причина: ..." (the label is dropped)
+//   custom   "<key>: <value>", key of one word or a known phrase (CUSTOM_PHRASES),
+//            letters only (e.g. "Посоветовал: Лёша", "Где смотреть: Netflix")
+//
+// A line made only of entries is metadata; every other line is the reason,
+// so a sentence with a colon ("Очень крутой фильм: смотреть всем",
+// "Смотреть в 20:00") is kept as text.
+// Anything that looks like metadata but cannot be read is reported in `warnings`.
+
+const RATING_SOURCES = [
+  { key: 'kinopoisk', pattern: 'кинопоиск[еа]?', max: 10 },
+  { key: 'imdb', pattern: 'imdb', max: 10 },
+  { key: 'tmdb', pattern: 'tmdb', max: 10 },
+  { key: 'livelib', pattern: 'livelib', max: 5 },
+  { key: 'goodreads', pattern: 'goodreads', max: 5 }
+]
+
+const NUMBER = '(\\d+(?:[.,]\\d+)?)'
+
+const RATING_RULES = RATING_SOURCES.map(source => ({
+  ...source,
+  strict: new RegExp(`^(?:(?:оценка|рейтинг)\\s+)?(?:на\\s+)?${source.pattern}\\s*[:—-]?\\s*${NUMBER}(?:\\s*\\/\\s*\\d+)?$`, 'i'),
+  // Rating mentioned inside a sentence ("8.1 на Кинопоиске" is not supported)
+  loose: new RegExp(`${source.pattern}[:\\s]*${NUMBER}`, 'i'),
+  mention: new RegExp(source.pattern, 'i')
+}))
+
+const RUNTIME_RULE = /^(?:(\d+)\s*ч(?:ас(?:а|ов)?)?\.?)?\s*(?:(\d+)\s*мин(?:ут[аы]?)?\.?)?$/i
+const PAGES_RULE = /^(\d+)\s*(?:стр(?:аниц[аы]?)?|pages?|p)\.?$/i
+const TEXT_RULES = [
+  { key: 'author', pattern: /^(?:автор|author)\s*:\s*(.+)$/i },
+  { key: 'genre', pattern: /^(?:жанры?|genres?)\s*:\s*(.+)$/i },
+  { key: 'director', pattern: /^(?:режисс[её]р|director)\s*:\s*(.+)$/i },
+  { key: 'originalTitle', pattern: /^(?:оригинальное название|original title)\s*:\s*(.+)$/i }
+]
+const YEAR_RULE = /^(?:год|year)\s*:\s*(\d{4})$/i
+const TMDB_ID_RULE = /^tmdb\s*id\s*:\s*(?:(movie|tv)\s*\/\s*)?(\d+)$/i
+const REASON_RULE = /^(?:почему(?:\s+(?:посмотреть|прочитать|стоит))?|причина|reason)\s*:\s*(.+)$/i
+const CUSTOM_RULE = /^([A-Za-zА-Яа-яЁё][A-Za-zА-Яа-яЁё-]*(?:\s+[A-Za-zА-Яа-яЁё-]+){0,2})\s*:\s*(.+)$/
+// Custom keys of several words (compared in lower case, ё as е)
+const CUSTOM_PHRASES = ['где смотреть', 'где посмотреть', 'где найти', 'с кем смотреть', 'кто посоветовал', 'в ролях']
+const SEGMENT_SEPARATOR = /\s*[;|]\s*|,\s+/
+
+function toNumber(value) {
+  return parseFloat(value.replace(',', '.'))
+}
+
+// "Стэнли Кубрик", "Дж. Р. Р. Толкин": every word capitalized
+function isName(text) {
+  return text.split(/\s+/).every(word => /^[A-ZА-ЯЁ]/.test(word))
+}
+
+function isCustomKey(key) {
+  const words = key.trim().toLowerCase().replace(/ё/g, 'е').split(/\s+/)
+  if (words.length > 1) return CUSTOM_PHRASES.includes(words.join(' '))
+  return !/^https?$/.test(words[0])
+}
+
+/**
+ * Match a single entry. Returns { type, key, value } or null.
+ * Invalid values are returned with `error` set.
+ */
+function matchEntry(text) {
+  const tmdbId = text.match(TMDB_ID_RULE)
+  if (tmdbId) {
+    return { type: 'tmdb', key: 'tmdb', value: { id: parseInt(tmdbId[2]), isTV: tmdbId[1]?.toLowerCase() === 'tv' } }
+  }
+
+  for (const rule of RATING_RULES) {
+    const match = text.match(rule.strict)
+    if (match) {
+      const value = toNumber(match[1])
+      if (value < 0 || value > rule.max) {
+        return { type: 'rating', key: rule.key, value: null, error: `Оценка вне диапазона: ${text}` }
+      }
+      return { type: 'rating', key: rule.key, value }
+    }
+  }
+
+  const runtime = text.match(RUNTIME_RULE)
+  if (runtime && (runtime[1] || runtime[2])) {
+    return { type: 'runtime', key: 'runtime', value: parseInt(runtime[1] || 0) * 60 + parseInt(runtime[2] || 0) }
+  }
+
+  const pages = text.match(PAGES_RULE)
+  if (pages) {
+    return { type: 'pages', key: 'pages', value: parseInt(pages[1]) }
+  }
+
+  for (const rule of TEXT_RULES) {
+    const match = text.match(rule.pattern)
+    if (match) return { type: 'text', key: rule.key, value: match[1].trim() }
+  }
+
+  const year = text.match(YEAR_RULE)
+  if (year) {
+    return { type: 'year', key: 'year', value: parseInt(year[1]) }
+  }
+
+  const reason = text.match(REASON_RULE)
+  if (reason) {
+    return { type: 'reason', key: 'reason', value: reason[1].trim() }
+  }
+
+  // Rating sources are never custom keys ("Кинопоиск: нет" is a broken rating)
+  const custom = text.match(CUSTOM_RULE)
+  if (custom && isCustomKey(custom[1]) && !RATING_RULES.some(rule => rule.mention.test(custom[1]))) {
+    return { type: 'custom', key: custom[1].trim(), value: custom[2].trim() }
+  }
+
+  return null
+}
+
+/**
+ * Entries of a metadata line, or null if the line is free text.
+ * Each entry keeps its source `text` so the line can be rewritten.
+ */
+export function parseMetadataLine(line) {
+  const whole = matchEntry(line)
+  if (whole) return [{ ...whole, text: line }]
+
+  const segments = line.split(SEGMENT_SEPARATOR).filter(Boolean)
+  if (segments.length < 2) return null
+
+  const entries = segments.map(segment => {
+    const entry = matchEntry(segment)
+    return entry && { ...entry, text: segment }
+  })
+  return entries.every(Boolean) ? entries : null
+}
+
+/**
+ * Parse a task description.
+ * Returns { ratings, runtime, pages, author, genre, director, originalTitle,
+ * year, tmdb, fields, reason, warnings }; `tmdb` is { id, isTV } or null.
+ */
+export function parseTaskDescription(description) {
+  const result = {
+    ratings: {},
+    runtime: null,
+    pages: null,
+    author: null,
+    genre: null,
+    director: null,
+    originalTitle: null,
+    year: null,
+    tmdb: null,
+    // Custom "key: value" lines
+    fields: {},
+    reason: null,
+    warnings: []
+  }
+  if (!description) return result
+
+  const reasonLines = []
+  const lines = description
+    .split('\n')
+    .map(line => line.replace(/\*\*/g, '').trim())
+    .filter(Boolean)
+
+  lines.forEach(line => {
+    const entries = parseMetadataLine(line)
+
+    if (!entries) {
+      // A rating inside free text: take it and keep the line out of the reason.
+      // A number out of range ("топ IMDb 250") leaves the line in the reason.
+      const loose = RATING_RULES.find(rule => rule.loose.test(line))
+      if (loose) {
+        const value = toNumber(line.match(loose.loose)[1])
+        if (value <= loose.max && result.ratings[loose.key] === undefined) {
+          result.ratings[loose.key] = value
+          return
+        }
+      }
+      if (RATING_RULES.some(rule => rule.mention.test(line) && /оценк|рейтинг|:/i.test(line))) {
+        result.warnings.push(`Не удалось прочитать оценку: «${line}»`)
+        return
+      }
+      reasonLines.push(line)
+      return
+    }
+
+    entries.forEach(entry => {
+      if (entry.error) {
+        result.warnings.push(entry.error)
+        return
+      }
+      if (entry.type === 'rating') {
+        result.ratings[entry.key] = entry.value
+      } else if (entry.type === 'reason') {
+        reasonLines.push(entry.value)
+      } else if (entry.type === 'custom') {
+        result.fields[entry.key] = entry.value
+      } else {
+        result[entry.key] = entry.value
+      }
+    })
+  })
+
+  if (reasonLines.length > 0) {
+    result.reason = reasonLines.join(' ')
+  }
+  return result
+}
+
+/**
+ * Parse a task title.
+ * Returns { title, year, credit, warnings }
+ */
+export function parseTaskTitle(content) {
+  const result = { title: '', year: null, credit: null, warnings: [] }
+
+  let text = (content || '')
+    .replace(/^[•*#]+\s*/, '')
+    .replace(/^\d{1,3}[.)]\s+/, '')
+    .trim()
+
+  // Credit after the last spaced "—" or "–"; without one, after the first
+  // spaced "-" if what follows looks like a name
+  const hasDash = /\s[—–]\s/.test(text)
+  const creditMatch = hasDash ? text.match(/^(.+)\s+[—–]\s+(.+)$/) : text.match(/^(.+?)\s+-\s+(.+)$/)
+  if (creditMatch) {
+    const right = creditMatch[2].trim()
+    if (/^\(?\d{4}\)?$/.test(right)) {
+      // "Title — 2020": a bare year is not an author or director
+      result.warnings.push(`Непонятная часть после тире: «${right}»`)
+    } else if (hasDash || isName(right.replace(/\s*\(\d{4}\)$/, ''))) {
+      text = creditMatch[1].trim()
+      result.credit = right
+    }
+  }
+
+  const yearMatch = text.match(/\((\d{4})\)/)
+  if (yearMatch) {
+    result.year = parseInt(yearMatch[1])
+    text = text.replace(/\s*\(\d{4}\)\s*/, ' ').trim()
+  }
+
+  // Year may also follow the credit: "Title — Director (2001)"
+  if (result.credit) {
+    const creditYear = result.credit.match(/\s*\((\d{4})\)\s*$/)
+    if (creditYear) {
+      if (!result.year) result.year = parseInt(creditYear[1])
+      result.credit = result.credit.replace(/\s*\(\d{4}\)\s*$/, '').trim()
+    }
+  }
+
+  result.title = text
+  if (!result.title) {
+    result.warnings.push('Пустое название')
+  }
+  return result
+}
@@ -0,0 +1,54 @@
+// Pending (still undoable) watched/read actions.
+// Persisted in localStorage so a reload neither loses nor double-sends them.
+const PENDING_STORAGE_KEY = 'pending_actions'
+
+// How long an action can be undone before it is sent to Todoist
+export const UNDO_DELAY_MS = 5000
+
+/**
+ * Load pending actions from localStorage
+ */
+export function getPendingActions() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PENDING_STORAGE_KEY) || '[]')
+    return Array.isArray(stored) ? stored : []
+  } catch (e) {
+    console.warn('Pending: Failed to load, clearing:', e)
+    localStorage.removeItem(PENDING_STORAGE_KEY)
+    return []
+  }
+}
+
+function savePendingActions(actions) {
+  localStorage.setItem(PENDING_STORAGE_KEY, JSON.stringify(actions))
+}
+
+/**
+ * Add an action.
+ * `item` is the movie/book removed from the list, kept to restore it on undo.
+ * Returns the stored entry ({ id, commitAt, ... })
+ */
+export function addPendingAction(action, item) {
+  const entry = {
+    ...action,
+    id: `${action.kind}-${action.taskId}-${Date.now()}`,
+    item: JSON.parse(JSON.stringify(item)),
+    commitAt: Date.now() + UNDO_DELAY_MS
+  }
+  savePendingActions([...getPendingActions(), entry])
+  return entry
+}
+
+/**
+ * Remove an action (after undo or once it was sent)
+ */
+export function removePendingAction(id) {
+  savePendingActions(getPendingActions().filter(a => a.id !== id))
+}
+
+/**
+ * Task IDs of pending actions for 'movies' or 'books'
+ */
+export function pendingTaskIds(actions, kind) {
+  return new Set(actions.filter(a => a.kind === kind).map(a => a.taskId))
+}
@@ -0,0 +1,121 @@
+// "What can I watch tonight": ranks the list for the available time, a mood
+// and the user's subscriptions, and explains every pick.
+// Uses only data that is already loaded: TMDB details and providers,
+// ratings from the task description, the section role and the task age.
+import { SECTION_ROLES } from './config.js'
+import { formatRuntime } from './todoist.js'
+import { groupProviders } from './providers.js'
+
+const DAY = 24 * 60 * 60 * 1000
+
+// Moods as sets of TMDB genre IDs (movie and TV IDs differ)
+export const MOODS = [
+  { id: 'any', label: 'Любое', genres: [] },
+  { id: 'light', label: 'Что-то лёгкое', genres: [35, 16, 10751, 10402, 10749] },
+  { id: 'tense', label: 'Напряжённое', genres: [53, 27, 80, 9648] },
+  { id: 'spectacle', label: 'Зрелищное', genres: [28, 12, 878, 14, 10752, 10759, 10765] },
+  { id: 'thoughtful', label: 'Вдумчивое', genres: [18, 36, 99, 10768] }
+]
+
+export const DEFAULT_PLANNER_OPTIONS = {
+  minutes: 120,
+  mood: 'any',
+  subscribedOnly: true,
+  limit: 5
+}
+
+// Score weights
+const WATCHING_BONUS = 25
+const SUBSCRIPTION_BONUS = 15
+const MAX_WAITING_BONUS = 20
+const WAITING_BONUS_PER_MONTH = 4
+const MAX_FIT_BONUS = 10
+const UNKNOWN_RUNTIME_PENALTY = 15
+
+function movieRating(movie, tmdb) {
+  if (movie.kinopoiskRating) return { value: movie.kinopoiskRating, source: 'Кинопоиск' }
+  if (movie.imdbRating) return { value: movie.imdbRating, source: 'IMDb' }
+  if (tmdb?.voteAverage) return { value: tmdb.voteAverage, source: 'TMDB' }
+  return null
+}
+
+function formatWaiting(days) {
+  if (days >= 365) return `${Math.floor(days / 365)} г.`
+  if (days >= 30) return `${Math.floor(days / 30)} мес.`
+  return `${days} дн.`
+}
+
+/**
+ * One movie as a candidate: { movie, score, runtime, reasons, providers }
+ * or null if it does not fit the options
+ */
+function rankMovie(movie, tmdb, options, mood, now) {
+  // For a series, an episode has to fit
+  const runtime = tmdb?.details?.runtime || movie.runtime || null
+  if (runtime && runtime > options.minutes) return null
+
+  if (mood.genres.length > 0) {
+    const genres = (tmdb?.details?.genres || []).map(g => g.id)
+    if (!genres.some(id => mood.genres.includes(id))) return null
+  }
+
+  const providers = groupProviders(tmdb?.watchProviders, options.providerSettings).subscribed
+  if (options.subscribedOnly && providers.length === 0) return null
+
+  const reasons = []
+  let score = 0
+
+  const rating = movieRating(movie, tmdb)
+  if (rating) {
+    score += (rating.value - 5) * 10
+    reasons.push(`Рейтинг ${rating.source} ${rating.value.toFixed(1)}`)
+  }
+
+  if (movie.sectionRole === SECTION_ROLES.WATCHING) {
+    score += WATCHING_BONUS
+    reasons.push('Уже в «Смотрю сейчас»')
+  }
+
+  if (providers.length > 0) {
+    score += SUBSCRIPTION_BONUS
+    reasons.push(`Есть в подписке: ${providers.map(p => p.name).join(', ')}`)
+  }
+
+  if (runtime) {
+    // Closer to the available time is better: a 2-hour film beats a short for a free evening
+    score += MAX_FIT_BONUS * runtime / options.minutes
+    reasons.push(movie.isSeries
+      ? `Серия идёт ${formatRuntime(runtime)}`
+      : `Займёт ${formatRuntime(runtime)} из ${formatRuntime(options.minutes)}`)
+  } else {
+    score -= UNKNOWN_RUNTIME_PENALTY
+    reasons.push('Длительность неизвестна')
+  }
+
+  if (movie.addedAt) {
+    const days = Math.floor((now - new Date(movie.addedAt).getTime()) / DAY)
+    if (days >= 30) {
+      score += Math.min(MAX_WAITING_BONUS, days / 30 * WAITING_BONUS_PER_MONTH)
+      reasons.push(`Ждёт своей очереди ${formatWaiting(days)}`)
+    }
+  }
+
+  return { movie, score, runtime, reasons, providers }
+}
+
+/**
+ * Shortlist for tonight, best first.
+ * `getTmdbData(movieId)` returns the movie's TMDB data with details and providers.
+ * Options: { minutes, mood (MOODS id), subscribedOnly, providerSettings, limit }
+ */
+export function planTonight(movies, getTmdbData, options = {}) {
+  const settings = { ...DEFAULT_PLANNER_OPTIONS, ...options }
+  const mood = MOODS.find(m => m.id === settings.mood) || MOODS[0]
+  const now = Date.now()
+
+  return movies
+    .map(movie => rankMovie(movie, getTmdbData(movie.id), settings, mood, now))
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, settings.limit)
+}
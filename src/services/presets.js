@@ -0,0 +1,91 @@
+// Saved filter combinations ("smart lists"), kept separately for movies and
+// books and shareable as JSON files
+import { DEFAULT_FILTERS } from './urlState.js'
+
+const PRESETS_STORAGE_KEY = 'filter_presets'
+const EXPORT_VERSION = 1
+
+// Known filters only, with the default type; anything else falls back to the default
+function cleanFilters(filters = {}) {
+  return Object.fromEntries(Object.entries(DEFAULT_FILTERS).map(([key, fallback]) => {
+    const value = filters[key]
+    if (Array.isArray(fallback)) {
+      return [key, Array.isArray(value) ? value.filter(v => typeof v === 'string') : []]
+    }
+    return [key, typeof value === typeof fallback ? value : fallback]
+  }))
+}
+
+function loadAll() {
+  try {
+    return JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY) || '{}')
+  } catch (e) {
+    console.warn('Presets: Failed to load presets:', e)
+    return {}
+  }
+}
+
+/**
+ * Presets of 'movies' or 'books': [{ id, name, filters }]
+ */
+export function getPresets(mode) {
+  return (loadAll()[mode] || []).map(preset => ({ ...preset, filters: cleanFilters(preset.filters) }))
+}
+
+export function savePresets(mode, presets) {
+  localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify({ ...loadAll(), [mode]: presets }))
+}
+
+/**
+ * New preset from the current filters
+ */
+export function createPreset(name, filters) {
+  return {
+    id: `preset-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+    name: name.trim(),
+    filters: cleanFilters(filters)
+  }
+}
+
+/**
+ * True if the filters are exactly the preset's
+ */
+export function matchesPreset(preset, filters) {
+  const same = (a, b) => Array.isArray(a)
+    ? Array.isArray(b) && a.length === b.length && a.every(value => b.includes(value))
+    : a === b
+  return Object.keys(DEFAULT_FILTERS).every(key => same(preset.filters[key], filters[key]))
+}
+
+/**
+ * Presets as a JSON string for download
+ */
+export function exportPresets(mode, presets) {
+  return JSON.stringify({
+    version: EXPORT_VERSION,
+    mode,
+    presets: presets.map(({ name, filters }) => ({ name, filters }))
+  }, null, 2)
+}
+
+/**
+ * Parse exported presets for 'movies' or 'books'. Throws on invalid input.
+ */
+export function parsePresets(json, mode) {
+  const parsed = JSON.parse(json)
+  if (!Array.isArray(parsed?.presets) || parsed.presets.some(p => typeof p?.name !== 'string' || !p.name.trim())) {
+    throw new Error('Ожидается объект { "presets": [{ "name": "...", "filters": {...} }] }')
+  }
+  if (parsed.mode && parsed.mode !== mode) {
+    throw new Error(parsed.mode === 'books' ? 'Это пресеты для книг' : 'Это пресеты для фильмов')
+  }
+  return parsed.presets.map(p => createPreset(p.name, p.filters))
+}
+
+/**
+ * Imported presets added to the current ones; a preset with the same name is replaced
+ */
+export function mergePresets(current, imported) {
+  const names = new Set(imported.map(p => p.name.toLowerCase()))
+  return [...current.filter(p => !names.has(p.name.toLowerCase())), ...imported]
+}
@@ -0,0 +1,144 @@
+// Watch-provider policy: which streaming services the portal knows about,
+// the user's home regions and subscriptions, and how a movie's TMDB
+// providers are grouped with them
+const PROVIDER_SETTINGS_STORAGE_KEY = 'provider_settings'
+
+// Countries offered in settings (TMDB watch-provider regions)
+export const REGION_OPTIONS = [
+  { code: 'RU', name: 'Россия' },
+  { code: 'KZ', name: 'Казахстан' },
+  { code: 'BY', name: 'Беларусь' },
+  { code: 'UA', name: 'Украина' },
+  { code: 'GE', name: 'Грузия' },
+  { code: 'AM', name: 'Армения' },
+  { code: 'RS', name: 'Сербия' },
+  { code: 'TR', name: 'Турция' },
+  { code: 'US', name: 'США' },
+  { code: 'GB', name: 'Великобритания' },
+  { code: 'DE', name: 'Германия' },
+  { code: 'FR', name: 'Франция' },
+  { code: 'ES', name: 'Испания' },
+  { code: 'IT', name: 'Италия' },
+  { code: 'NL', name: 'Нидерланды' },
+  { code: 'PL', name: 'Польша' }
+]
+
+// Known services. A TMDB provider belongs to a service by ID,
+// or by name for IDs not listed here. Other providers are not shown.
+export const SERVICES = [
+  { id: 'netflix', name: 'Netflix', providerIds: [8], names: ['netflix'] },
+  { id: 'kinopoisk', name: 'Кинопоиск', providerIds: [283, 119, 420, 425], names: ['кинопоиск', 'kinopoisk'] },
+  { id: 'okko', name: 'Okko', providerIds: [115, 117], names: ['okko'] },
+  { id: 'ivi', name: 'Ivi', providerIds: [111], names: ['ivi'] },
+  { id: 'premier', name: 'Premier', providerIds: [113], names: ['premier'] },
+  { id: 'megogo', name: 'Megogo', providerIds: [507], names: ['megogo'] },
+  { id: 'wink', name: 'Wink', providerIds: [501], names: ['wink'] },
+  { id: 'moretv', name: 'more.tv', providerIds: [502], names: ['more.tv'] },
+  { id: 'amediateka', name: 'Амедиатека', providerIds: [], names: ['amedia', 'amediateka'] }
+]
+
+// Regions the portal merged before they became configurable
+const DEFAULT_PROVIDER_SETTINGS = {
+  regions: ['RU', 'US', 'GB', 'DE', 'FR'],
+  // Service IDs the user pays for
+  subscriptions: []
+}
+
+/**
+ * Load provider settings: { regions: ['RU', ...], subscriptions: [serviceId, ...] }
+ */
+export function getProviderSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PROVIDER_SETTINGS_STORAGE_KEY) || '{}')
+    return {
+      regions: Array.isArray(stored.regions) && stored.regions.length > 0
+        ? stored.regions
+        : [...DEFAULT_PROVIDER_SETTINGS.regions],
+      subscriptions: Array.isArray(stored.subscriptions) ? stored.subscriptions : []
+    }
+  } catch (e) {
+    console.warn('Providers: Failed to load settings, using defaults:', e)
+    return { regions: [...DEFAULT_PROVIDER_SETTINGS.regions], subscriptions: [] }
+  }
+}
+
+/**
+ * Save provider settings (unknown services are dropped)
+ */
+export function saveProviderSettings(settings) {
+  const serviceIds = new Set(SERVICES.map(service => service.id))
+  localStorage.setItem(PROVIDER_SETTINGS_STORAGE_KEY, JSON.stringify({
+    regions: settings.regions || [],
+    subscriptions: (settings.subscriptions || []).filter(id => serviceIds.has(id))
+  }))
+}
+
+/**
+ * Service a TMDB provider belongs to, or null
+ */
+export function serviceOf(provider) {
+  const byId = SERVICES.find(service => service.providerIds.includes(provider.id))
+  if (byId) return byId
+  const nameLower = provider.name.toLowerCase()
+  return SERVICES.find(service => service.names.some(name => nameLower.includes(name))) || null
+}
+
+function inRegions(provider, regions) {
+  return (provider.countries || []).some(country => regions.includes(country))
+}
+
+function byName(a, b) {
+  return a.name.localeCompare(b.name, 'ru')
+}
+
+// Known providers of one kind, deduplicated by ID
+function knownProviders(list) {
+  const seen = new Set()
+  return (list || []).filter(provider => {
+    if (seen.has(provider.id) || !serviceOf(provider)) return false
+    seen.add(provider.id)
+    return true
+  })
+}
+
+/**
+ * Group a movie's watch providers for display:
+ *   - subscribed: streaming in a home region on a service the user pays for
+ *   - streaming: streaming in a home region on another service
+ *   - abroad: streaming only outside the home regions (`countries` tells where)
+ *   - rent, buy: in a home region
+ */
+export function groupProviders(watchProviders, settings) {
+  const groups = { subscribed: [], streaming: [], abroad: [], rent: [], buy: [] }
+  if (!watchProviders) return groups
+
+  const { regions, subscriptions } = settings
+  knownProviders(watchProviders.flatrate).forEach(provider => {
+    if (!inRegions(provider, regions)) {
+      groups.abroad.push(provider)
+    } else if (subscriptions.includes(serviceOf(provider).id)) {
+      groups.subscribed.push(provider)
+    } else {
+      groups.streaming.push(provider)
+    }
+  })
+  groups.rent = knownProviders(watchProviders.rent).filter(provider => inRegions(provider, regions))
+  groups.buy = knownProviders(watchProviders.buy).filter(provider => inRegions(provider, regions))
+
+  Object.values(groups).forEach(list => list.sort(byName))
+  return groups
+}
+
+/**
+ * Known providers available in the home regions (any kind), subscriptions first.
+ * Used for the cards and the platform filter.
+ */
+export function regionalProviders(watchProviders, settings) {
+  const groups = groupProviders(watchProviders, settings)
+  const seen = new Set()
+  return [...groups.subscribed, ...groups.streaming, ...groups.rent, ...groups.buy].filter(provider => {
+    if (seen.has(provider.id)) return false
+    seen.add(provider.id)
+    return true
+  })
+}
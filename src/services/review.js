@@ -0,0 +1,89 @@
+// Personal review (score, tags, notes) stored as a Todoist comment
+// on the completed task. The format is plain text so it stays readable in Todoist:
+//
+//   Моя оценка: 8/10
+//   Теги: атмосферно, пересмотреть
+//
+//   Free-text notes...
+import { fetchComments, addComment } from './todoistClient.js'
+
+// Tags offered in the review dialog
+export const SUGGESTED_REVIEW_TAGS = [
+  'шедевр',
+  'пересмотреть',
+  'атмосферно',
+  'затянуто',
+  'переоценено',
+  'для компании'
+]
+
+/**
+ * True if the review has anything worth saving
+ */
+export function hasReviewContent(review) {
+  if (!review) return false
+  return !!review.rating || (review.tags && review.tags.length > 0) || !!review.notes?.trim()
+}
+
+/**
+ * Build comment text from { rating, tags, notes }
+ */
+export function formatReview({ rating, tags = [], notes = '' }) {
+  const meta = []
+  if (rating) meta.push(`Моя оценка: ${rating}/10`)
+  if (tags.length > 0) meta.push(`Теги: ${tags.join(', ')}`)
+
+  const parts = []
+  if (meta.length > 0) parts.push(meta.join('\n'))
+  if (notes.trim()) parts.push(notes.trim())
+  return parts.join('\n\n')
+}
+
+/**
+ * Parse comment text written by formatReview.
+ * Returns { rating, tags, notes } or null if the text is not a review.
+ */
+export function parseReview(text) {
+  if (!text) return null
+
+  const ratingMatch = text.match(/^(?:моя оценка|оценка)[:\s]*(\d+(?:[.,]\d)?)(?:\s*\/\s*10)?\s*$/im)
+  const tagsMatch = text.match(/^теги:\s*(.+)$/im)
+  // Plain comments without a rating or tags line are not reviews
+  if (!ratingMatch && !tagsMatch) return null
+
+  const rating = ratingMatch ? parseFloat(ratingMatch[1].replace(',', '.')) : null
+  const tags = tagsMatch
+    ? tagsMatch[1].split(',').map(t => t.trim()).filter(Boolean)
+    : []
+
+  const notes = text
+    .split('\n')
+    .filter(line => !/^(?:моя оценка|оценка|теги)[:\s]/i.test(line.trim()))
+    .join('\n')
+    .trim()
+
+  return {
+    rating: rating !== null && rating >= 0 && rating <= 10 ? rating : null,
+    tags,
+    notes
+  }
+}
+
+/**
+ * Save a review as a comment on the task
+ */
+export async function saveReview(apiToken, taskId, review) {
+  return await addComment(apiToken, taskId, formatReview(review))
+}
+
+/**
+ * Read the latest review comment of a task, or null
+ */
+export async function fetchReview(apiToken, taskId, options = {}) {
+  const comments = await fetchComments(apiToken, taskId, options)
+  for (let i = comments.length - 1; i >= 0; i--) {
+    const review = parseReview(comments[i].content)
+    if (review) return review
+  }
+  return null
+}
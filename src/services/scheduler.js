@@ -0,0 +1,197 @@
+// Request scheduler for TMDB, Open Library and Google Books.
+// Every host has a token bucket (requests per second with a burst) and a
+// concurrency limit. Queued requests run by priority lane, then in order.
+// The lane is read from the caller's request object when a request starts,
+// so raising `request.priority` promotes requests that are already queued.
+// 429 and 5xx responses are retried with backoff; a 429 pauses the whole host.
+const MAX_RETRIES = 3
+const MAX_RETRY_AFTER_MS = 60 * 1000
+
+// Priority lanes, lower runs first
+export const PRIORITY = {
+  VISIBLE: 0,
+  BACKGROUND: 1
+}
+
+// Limits per host: { rate: requests per second, burst, concurrency }
+const HOST_LIMITS = {
+  'api.themoviedb.org': { rate: 20, burst: 20, concurrency: 8 },
+  'openlibrary.org': { rate: 3, burst: 3, concurrency: 2 },
+  'www.googleapis.com': { rate: 5, burst: 5, concurrency: 3 }
+}
+const DEFAULT_LIMITS = { rate: 5, burst: 5, concurrency: 4 }
+
+// Host state: { limits, tokens, refilledAt, active, queue, pausedUntil, timer }
+const hosts = new Map()
+let sequence = 0
+
+function hostState(host) {
+  if (!hosts.has(host)) {
+    const limits = HOST_LIMITS[host] || DEFAULT_LIMITS
+    hosts.set(host, {
+      host,
+      limits,
+      tokens: limits.burst,
+      refilledAt: Date.now(),
+      active: 0,
+      queue: [],
+      pausedUntil: 0,
+      timer: null
+    })
+  }
+  return hosts.get(host)
+}
+
+function abortError() {
+  return new DOMException('Запрос отменён', 'AbortError')
+}
+
+/**
+ * True if the request was cancelled via AbortSignal
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError'
+}
+
+/**
+ * Delay before the next attempt: Retry-After header if present,
+ * otherwise exponential backoff (1s, 2s, 4s)
+ */
+function retryDelay(response, attempt) {
+  const retryAfter = response.headers.get('Retry-After')
+  if (retryAfter) {
+    const seconds = parseInt(retryAfter)
+    if (!isNaN(seconds)) return Math.min(seconds * 1000, MAX_RETRY_AFTER_MS)
+  }
+  return Math.pow(2, attempt) * 1000
+}
+
+function refill(state) {
+  const now = Date.now()
+  const { rate, burst } = state.limits
+  state.tokens = Math.min(burst, state.tokens + (now - state.refilledAt) / 1000 * rate)
+  state.refilledAt = now
+}
+
+function enqueue(state, job) {
+  if (job.request.signal?.aborted) return
+  // Keep the queue in arrival order (retries go back to their place)
+  const index = state.queue.findIndex(other => other.sequence > job.sequence)
+  if (index === -1) {
+    state.queue.push(job)
+  } else {
+    state.queue.splice(index, 0, job)
+  }
+  pump(state)
+}
+
+/**
+ * Take the earliest queued job of the highest lane
+ */
+function takeNext(state) {
+  let best = 0
+  state.queue.forEach((job, index) => {
+    if (lane(job) < lane(state.queue[best])) best = index
+  })
+  return state.queue.splice(best, 1)[0]
+}
+
+function lane(job) {
+  return job.request.priority ?? PRIORITY.BACKGROUND
+}
+
+/**
+ * Start as many queued requests as the host limits allow,
+ * and wake up later if tokens or a pause are the only blockers
+ */
+function pump(state) {
+  refill(state)
+  const now = Date.now()
+
+  while (
+    state.queue.length > 0 &&
+    state.active < state.limits.concurrency &&
+    state.tokens >= 1 &&
+    now >= state.pausedUntil
+  ) {
+    const job = takeNext(state)
+    state.tokens -= 1
+    state.active++
+    run(state, job)
+  }
+
+  if (state.queue.length === 0 || state.timer || state.active >= state.limits.concurrency) return
+  const wait = Math.max(
+    state.pausedUntil - now,
+    state.tokens < 1 ? (1 - state.tokens) / state.limits.rate * 1000 : 0
+  )
+  state.timer = setTimeout(() => {
+    state.timer = null
+    pump(state)
+  }, Math.ceil(wait))
+}
+
+async function run(state, job) {
+  let response = null
+  let error = null
+  try {
+    response = await fetch(job.url, { signal: job.request.signal })
+  } catch (e) {
+    error = e
+  }
+  state.active--
+
+  const retryable = response && (response.status === 429 || response.status >= 500)
+  if (retryable && job.attempt < MAX_RETRIES && !job.request.signal?.aborted) {
+    const wait = retryDelay(response, job.attempt)
+    job.attempt++
+    console.warn(`Scheduler: HTTP ${response.status} from ${state.host}, retry ${job.attempt}/${MAX_RETRIES} in ${wait} ms`)
+
+    if (response.status === 429) {
+      // The host is over its limit for everyone, not just this request
+      state.pausedUntil = Math.max(state.pausedUntil, Date.now() + wait)
+      enqueue(state, job)
+    } else {
+      setTimeout(() => enqueue(state, job), wait)
+    }
+  } else {
+    job.request.signal?.removeEventListener('abort', job.onAbort)
+    if (error) {
+      job.reject(error)
+    } else {
+      job.resolve(response)
+    }
+  }
+  pump(state)
+}
+
+/**
+ * fetch() through the scheduler. Resolves with the Response like fetch;
+ * 429/5xx are only returned once retries are used up.
+ * Request: { priority (PRIORITY lane), signal (AbortSignal) }
+ */
+export function scheduledFetch(url, request = {}) {
+  const { signal } = request
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError())
+      return
+    }
+
+    const state = hostState(new URL(url).host)
+    const job = { url, request, attempt: 0, sequence: sequence++, resolve, reject }
+
+    if (signal) {
+      // Queued requests are dropped, running ones are aborted by fetch itself
+      job.onAbort = () => {
+        const index = state.queue.indexOf(job)
+        if (index !== -1) state.queue.splice(index, 1)
+        reject(abortError())
+      }
+      signal.addEventListener('abort', job.onAbort, { once: true })
+    }
+
+    enqueue(state, job)
+  })
+}
@@ -0,0 +1,300 @@
+// Client-side search over everything known about a movie or book: Todoist
+// fields, TMDB details (original title, cast, genres, countries) and Open
+// Library data. Matching ignores case and ё/е, tolerates typos and finds
+// Cyrillic titles by Latin queries and vice versa.
+//
+// Query syntax:
+//   матрица киану        every word has to match somewhere
+//   "крёстный отец"      all words in the same field
+//   genre:драма          one field (see FIELD_ALIASES), actor:"том хэнкс"
+//   year:>2000           numbers: >, >=, <, <=, exact or a range year:1990..1999
+//   -genre:ужасы         exclusion
+import { transliterate } from './titleResolver.js'
+
+// Query field name → index field (names are compared without case and ё)
+const FIELD_ALIASES = {
+  title: 'title',
+  название: 'title',
+  original: 'original',
+  оригинал: 'original',
+  director: 'director',
+  режиссер: 'director',
+  actor: 'actor',
+  cast: 'actor',
+  актер: 'actor',
+  author: 'author',
+  автор: 'author',
+  genre: 'genre',
+  жанр: 'genre',
+  country: 'country',
+  страна: 'country',
+  reason: 'reason',
+  note: 'reason',
+  описание: 'reason',
+  label: 'label',
+  tag: 'label',
+  метка: 'label',
+  section: 'section',
+  категория: 'section',
+  year: 'year',
+  год: 'year',
+  rating: 'rating',
+  рейтинг: 'rating'
+}
+
+const NUMERIC_FIELDS = ['year', 'rating']
+
+// Shown on a card when a match is in a field the card does not display
+export const FIELD_LABELS = {
+  title: 'Название',
+  original: 'Оригинальное название',
+  director: 'Режиссёр',
+  actor: 'В ролях',
+  author: 'Автор',
+  genre: 'Жанр',
+  country: 'Страна',
+  reason: 'Описание',
+  label: 'Метка',
+  section: 'Категория'
+}
+
+const countryNames = typeof Intl.DisplayNames === 'function'
+  ? new Intl.DisplayNames(['ru'], { type: 'region' })
+  : null
+
+// Common short names the region names above do not cover
+const COUNTRY_ALIASES = {
+  US: 'США',
+  GB: 'Англия',
+  SU: 'СССР'
+}
+
+/**
+ * Lowercase text without diacritics, ё as е
+ */
+export function normalizeText(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+}
+
+function tokenize(text) {
+  return normalizeText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean)
+}
+
+function hasCyrillicWord(word) {
+  return /[а-я]/.test(word)
+}
+
+// Allowed typos for a query word
+function maxTypos(word) {
+  if (word.length >= 8) return 2
+  if (word.length >= 4) return 1
+  return 0
+}
+
+// Edit distance between `word` and the closest prefix of `candidate`
+function prefixDistance(word, candidate, limit) {
+  let previous = Array.from({ length: word.length + 1 }, (_, i) => i)
+  let best = previous[word.length]
+  const maxLength = Math.min(candidate.length, word.length + limit)
+  for (let j = 1; j <= maxLength; j++) {
+    const current = [j]
+    for (let i = 1; i <= word.length; i++) {
+      const cost = word[i - 1] === candidate[j - 1] ? 0 : 1
+      current[i] = Math.min(previous[i] + 1, current[i - 1] + 1, previous[i - 1] + cost)
+    }
+    best = Math.min(best, current[word.length])
+    previous = current
+  }
+  return best
+}
+
+// Query word against an indexed word: substring (prefix for short words) or a typo away
+function wordMatches(queryWord, word) {
+  if (queryWord.length < 3) return word.startsWith(queryWord)
+  if (word.includes(queryWord)) return true
+  const typos = maxTypos(queryWord)
+  return typos > 0 && prefixDistance(queryWord, word, typos) <= typos
+}
+
+// A query word with its Latin spelling
+function wordVariants(word) {
+  return hasCyrillicWord(word) ? [word, transliterate(word)] : [word]
+}
+
+function indexValue(value) {
+  const words = new Set()
+  tokenize(value).forEach(word => {
+    words.add(word)
+    if (hasCyrillicWord(word)) words.add(transliterate(word))
+  })
+  return { value: String(value), words: [...words] }
+}
+
+function indexFields(fields) {
+  return Object.fromEntries(Object.entries(fields).map(([field, values]) => [
+    field,
+    [...new Set(values.filter(Boolean).map(String))].map(indexValue)
+  ]))
+}
+
+/**
+ * Search document of a movie with its TMDB data
+ */
+export function movieSearchDoc(movie, tmdb) {
+  const details = tmdb?.details
+  const countries = details?.productionCountries || []
+  return {
+    fields: indexFields({
+      title: [movie.title, tmdb?.title],
+      original: [tmdb?.originalTitle],
+      director: [movie.director, details?.director],
+      actor: (details?.cast || []).map(person => person.name),
+      genre: (details?.genres || []).map(genre => genre.name),
+      country: countries.flatMap(c => [c.name, c.iso_3166_1, countryNames?.of(c.iso_3166_1), COUNTRY_ALIASES[c.iso_3166_1]]),
+      reason: [movie.reason],
+      label: movie.labels || [],
+      section: [movie.sectionName]
+    }),
+    year: Number(movie.year || tmdb?.releaseDate?.slice(0, 4)) || null,
+    rating: movie.kinopoiskRating || movie.imdbRating || tmdb?.voteAverage || null
+  }
+}
+
+/**
+ * Search document of a book with its Open Library data (rating on a 5-point scale)
+ */
+export function bookSearchDoc(book, openlib) {
+  return {
+    fields: indexFields({
+      title: [book.title, openlib?.title, openlib?.googleTitle],
+      author: [book.author, ...(openlib?.authors || []), ...(openlib?.googleAuthors || [])],
+      genre: openlib?.subjects || [],
+      reason: [book.reason],
+      label: book.labels || [],
+      section: [book.sectionName]
+    }),
+    year: Number(book.year || openlib?.firstPublishYear) || null,
+    rating: book.livilibRating || book.goodreadsRating || openlib?.ratingsAverage || null
+  }
+}
+
+/**
+ * Search documents cached per item, rebuilt when the item or its
+ * TMDB/Open Library data (`source`) is replaced
+ */
+export function createSearchIndex(buildDoc) {
+  const cache = new Map()
+  return (item, source) => {
+    const cached = cache.get(item.id)
+    if (cached && cached.item === item && cached.source === source) return cached.doc
+    const doc = buildDoc(item, source)
+    cache.set(item.id, { item, source, doc })
+    return doc
+  }
+}
+
+// "2000", ">2000", "<=7.5", "1990..1999" → predicate or null
+function parseNumberTest(text) {
+  const number = value => Number(value.replace(',', '.'))
+  const range = text.match(/^(\d+(?:[.,]\d+)?)\.\.(\d+(?:[.,]\d+)?)$/)
+  if (range) {
+    const [min, max] = [number(range[1]), number(range[2])]
+    return value => value >= min && value <= max
+  }
+  const comparison = text.match(/^(>=|<=|>|<|=)?(\d+(?:[.,]\d+)?)$/)
+  if (!comparison) return null
+  const target = number(comparison[2])
+  switch (comparison[1]) {
+    case '>': return value => value > target
+    case '>=': return value => value >= target
+    case '<': return value => value < target
+    case '<=': return value => value <= target
+    default: return value => value === target
+  }
+}
+
+const TOKEN_PATTERN = /(-)?(?:([\p{L}]+):)?(?:"([^"]*)"?|(\S+))/gu
+
+/**
+ * Parsed query: [{ field (null for any), negate, words (variants per word) } |
+ * { field: 'year' | 'rating', negate, test }]
+ */
+export function parseSearchQuery(query) {
+  const terms = []
+  for (const [, minus, name, quoted, bare] of (query || '').matchAll(TOKEN_PATTERN)) {
+    const value = quoted ?? bare
+    const field = name ? FIELD_ALIASES[normalizeText(name)] || null : null
+    const negate = !!minus
+
+    if (NUMERIC_FIELDS.includes(field)) {
+      const test = parseNumberTest(value)
+      if (test) terms.push({ field, negate, test })
+      continue
+    }
+
+    // An unknown "name:" is searched as text
+    const words = tokenize(name && !field ? `${name} ${value}` : value)
+    if (words.length > 0) terms.push({ field, negate, words: words.map(wordVariants) })
+  }
+  return terms
+}
+
+// First value of a field containing every word of the term
+function matchingValue(values, words) {
+  return values.find(entry => words.every(variants =>
+    entry.words.some(word => variants.some(variant => wordMatches(variant, word)))
+  ))
+}
+
+function matchTerm(doc, term) {
+  if (term.test) {
+    const value = doc[term.field]
+    return value !== null && term.test(value) ? [] : null
+  }
+  const fields = term.field ? [term.field] : Object.keys(doc.fields)
+  for (const field of fields) {
+    const entry = matchingValue(doc.fields[field] || [], term.words)
+    if (entry) return [{ field, value: entry.value }]
+  }
+  return null
+}
+
+/**
+ * Match of a document against a parsed query: null if it does not match,
+ * otherwise { hits: [{ field, value }] } with the first matching value per term
+ */
+export function matchSearch(doc, terms) {
+  const hits = []
+  for (const term of terms) {
+    const termHits = matchTerm(doc, term)
+    if (term.negate ? termHits : !termHits) return null
+    if (!term.negate) hits.push(...termHits)
+  }
+  return { hits }
+}
+
+/**
+ * Query words to highlight (text terms that are not excluded)
+ */
+export function highlightWords(terms) {
+  return terms.filter(term => term.words && !term.negate).flatMap(term => term.words)
+}
+
+/**
+ * Text split into [{ text, match }] with words matching the highlight words marked
+ */
+export function highlightParts(text, words) {
+  if (!text) return []
+  if (!words?.length) return [{ text, match: false }]
+  return String(text).split(/([\p{L}\p{N}]+)/u).filter(Boolean).map(part => {
+    const normalized = normalizeText(part)
+    const forms = hasCyrillicWord(normalized) ? [normalized, transliterate(normalized)] : [normalized]
+    const match = /[\p{L}\p{N}]/u.test(part) &&
+      words.some(variants => variants.some(variant => forms.some(form => wordMatches(variant, form))))
+    return { text: part, match }
+  })
+}
@@ -0,0 +1,156 @@
+// Series progress: episode subtasks of a series task in Todoist
+import { createTask, closeTask } from './todoistClient.js'
+import { localDateString } from './due.js'
+
+/**
+ * Season and episode numbers from a subtask title.
+ * Supports "Сезон 4, Эпизод 16", "4 сезон 16 серия", "S04E16" and "4x16".
+ * Returns { season, episode } (episode may be null) or null.
+ */
+export function parseEpisodeRef(content) {
+  if (!content) return null
+
+  const short = content.match(/\bs(\d{1,2})\s*e(\d{1,3})\b/i) || content.match(/\b(\d{1,2})x(\d{1,3})\b/)
+  if (short) {
+    return { season: parseInt(short[1]), episode: parseInt(short[2]) }
+  }
+
+  const seasonMatch = content.match(/[Сс]езон\s*(\d+)|(\d+)\s*[-–]?\s*(?:й\s*)?сезон/i)
+  const episodeMatch = content.match(/(?:[Ээ]пизод|[Сс]ерия)\s*(\d+)|(\d+)\s*[-–]?\s*(?:я\s*)?(?:серия|эпизод)/i)
+  if (!seasonMatch && !episodeMatch) return null
+
+  return {
+    season: seasonMatch ? parseInt(seasonMatch[1] || seasonMatch[2]) : null,
+    episode: episodeMatch ? parseInt(episodeMatch[1] || episodeMatch[2]) : null
+  }
+}
+
+/**
+ * Subtask summary kept on the movie: { id, content, season, episode }
+ */
+export function toEpisode(task) {
+  const ref = parseEpisodeRef(task.content)
+  return {
+    id: task.id,
+    content: task.content.replace(/^[•*]\s*/, '').trim(),
+    season: ref?.season ?? null,
+    episode: ref?.episode ?? null
+  }
+}
+
+function compareEpisodes(a, b) {
+  return (a.season ?? Infinity) - (b.season ?? Infinity) ||
+    (a.episode ?? Infinity) - (b.episode ?? Infinity)
+}
+
+/**
+ * Group episode subtasks by season, in viewing order.
+ * Returns [{ season, label, episodes }]
+ */
+export function groupEpisodesBySeason(episodes = []) {
+  const groups = new Map()
+  ;[...episodes].sort(compareEpisodes).forEach(episode => {
+    const key = episode.season ?? 'other'
+    if (!groups.has(key)) {
+      groups.set(key, {
+        season: episode.season,
+        label: episode.season !== null ? `Сезон ${episode.season}` : 'Без сезона',
+        episodes: []
+      })
+    }
+    groups.get(key).episodes.push(episode)
+  })
+  return [...groups.values()]
+}
+
+// Episodes with season and episode numbers, in viewing order
+function numberedEpisodes(episodes = []) {
+  return episodes.filter(e => e.season !== null && e.episode !== null).sort(compareEpisodes)
+}
+
+// Number of an episode counted through the whole series, from TMDB season sizes
+function episodePosition(seasons, { season, episode }) {
+  return seasons
+    .filter(s => s.seasonNumber < season)
+    .reduce((sum, s) => sum + (s.episodeCount || 0), episode)
+}
+
+/**
+ * Watched share of a series, as a lower bound: everything up to the last
+ * completed episode subtask, and everything before the first open one.
+ * Episodes not tracked in Todoist at all (e.g. aired since) are not counted.
+ * Total and season sizes come from TMDB.
+ * Returns { watched, total, percent } or null when unknown.
+ */
+export function seriesProgress(movie, tmdb) {
+  if (!movie?.isSeries) return null
+
+  const total = tmdb?.details?.numberOfEpisodes
+  const seasons = tmdb?.details?.seasons
+  if (!total || !seasons?.length) return null
+
+  const lastWatched = numberedEpisodes(movie.watchedEpisodes).pop()
+  const firstOpen = numberedEpisodes(movie.subtasks)[0]
+  if (!lastWatched && !firstOpen) return null
+
+  const watched = Math.min(total, Math.max(
+    lastWatched ? episodePosition(seasons, lastWatched) : 0,
+    firstOpen ? episodePosition(seasons, firstOpen) - 1 : 0
+  ))
+  return { watched, total, percent: Math.round((watched / total) * 100) }
+}
+
+/**
+ * Episode subtask title
+ */
+export function formatEpisodeTitle(season, episode, name = '') {
+  const base = `Сезон ${season}, Эпизод ${episode}`
+  return name ? `${base} — ${name}` : base
+}
+
+/**
+ * Aired TMDB episodes after the last tracked one, open or watched.
+ * With no tracked episodes, starts at `fromSeason`.
+ * `seasons` are TMDB seasons with `episodes` (see fetchMovieDetails withEpisodes).
+ */
+export function findMissingEpisodes(subtasks = [], seasons = [], fromSeason = 1, watched = []) {
+  const tracked = numberedEpisodes([...subtasks, ...watched])
+  const last = tracked[tracked.length - 1] || { season: fromSeason, episode: 0 }
+  const trackedKeys = new Set(tracked.map(e => `${e.season}-${e.episode}`))
+  const today = localDateString()
+
+  const missing = []
+  seasons.forEach(season => {
+    (season.episodes || []).forEach(ep => {
+      const isAfterLast = season.seasonNumber > last.season ||
+        (season.seasonNumber === last.season && ep.episodeNumber > last.episode)
+      const isAired = ep.airDate && ep.airDate <= today
+      if (isAfterLast && isAired && !trackedKeys.has(`${season.seasonNumber}-${ep.episodeNumber}`)) {
+        missing.push({ season: season.seasonNumber, episode: ep.episodeNumber, name: ep.name || '' })
+      }
+    })
+  })
+  return missing
+}
+
+/**
+ * Mark an episode subtask as watched
+ */
+export async function completeEpisode(apiToken, episodeId) {
+  return await closeTask(apiToken, episodeId)
+}
+
+/**
+ * Create episode subtasks under a series task (one request each, in order).
+ * Returns created episodes in the toEpisode format.
+ */
+export async function createEpisodeTasks(apiToken, seriesTaskId, episodes) {
+  const created = []
+  for (const ep of episodes) {
+    const task = await createTask(apiToken, formatEpisodeTitle(ep.season, ep.episode, ep.name), {
+      parentId: seriesTaskId
+    })
+    created.push(toEpisode(task))
+  }
+  return created
+}
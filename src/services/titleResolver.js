@@ -0,0 +1,186 @@
+// Title resolution for TMDB and book searches.
+// A title is tried as, in order:
+//   1. the user's dictionary entry (editable in settings, exportable as JSON)
+//   2. remote alternatives (for movies: TMDB alternative titles and translations)
+//   3. a transliteration of the Cyrillic title
+//   4. the original title
+// The first query the caller's `attempt` accepts wins.
+const DICTIONARY_STORAGE_KEY = 'title_dictionary'
+
+export const TITLE_SOURCES = {
+  USER: 'user',
+  REMOTE: 'remote',
+  TRANSLIT: 'translit',
+  ORIGINAL: 'original'
+}
+
+// Seed for a fresh dictionary (entries that used to be hardcoded in tmdb.js and openlib.js)
+const DEFAULT_DICTIONARY = {
+  movies: {
+    'Бешеный бык': 'Raging Bull',
+    'Забавные игры': 'Funny Games',
+    'Рыцари справедливости': 'Riders of Justice',
+    'Шоа': 'Shoah',
+    'Минари': 'Minari',
+    'Ванильное небо': 'Vanilla Sky',
+    'Фарго': 'Fargo',
+    'Солнце мое': 'All of Us Strangers',
+    'Быстрее пули': 'Bullet Train',
+    'Варвар': 'Barbarian',
+    'По соображениям совести': 'Hacksaw Ridge',
+    'Шоссе в никуда': 'Lost Highway',
+    'Малхолланд Драйв': 'Mulholland Drive',
+    'Королевство полной луны': 'Moonrise Kingdom',
+    'Темный рыцарь': 'The Dark Knight',
+    'Убить Билла': 'Kill Bill',
+    'Дом у озера': 'The Lake House',
+    'Атака титанов': 'Attack on Titan',
+    'Викинги': 'Vikings',
+    'Падения дома Ашеров': 'The Fall of the House of Usher',
+    'Великая красота': 'The Great Beauty',
+    'Сядь за руль моей машины': 'Drive My Car',
+    'Перевал Кассандры': 'The Cassandra Crossing',
+    'Фантазия': 'Fantasia',
+    'Накойкаци': 'Naqoyqatsi',
+    'Трудно быть богом': 'Hard to Be a God',
+    'Прощай речь': 'Goodbye to Language'
+  },
+  books: {
+    'Война и мир': 'War and Peace',
+    'Преступление и наказание': 'Crime and Punishment',
+    'Анна Каренина': 'Anna Karenina',
+    'Мастер и Маргарита': 'The Master and Margarita',
+    'Братья Карамазовы': 'The Brothers Karamazov',
+    'Идиот': 'The Idiot',
+    'Гарри Поттер': 'Harry Potter',
+    'Властелин колец': 'Lord of the Rings',
+    'Маленький принц': 'The Little Prince',
+    'Три товарища': 'Three Comrades',
+    'Над пропастью во ржи': 'The Catcher in the Rye',
+    'Убить пересмешника': 'To Kill a Mockingbird',
+    'Великий Гэтсби': 'The Great Gatsby',
+    'Портрет Дориана Грея': 'The Picture of Dorian Gray'
+  }
+}
+
+const TRANSLIT_TABLE = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i',
+  й: 'y', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't',
+  у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '',
+  э: 'e', ю: 'yu', я: 'ya'
+}
+
+/**
+ * Load the dictionary: { movies: { title: query }, books: { title: query } }
+ */
+export function getTitleDictionary() {
+  try {
+    const stored = localStorage.getItem(DICTIONARY_STORAGE_KEY)
+    if (!stored) return JSON.parse(JSON.stringify(DEFAULT_DICTIONARY))
+    const parsed = JSON.parse(stored)
+    return { movies: parsed.movies || {}, books: parsed.books || {} }
+  } catch (e) {
+    console.warn('Titles: Failed to load dictionary, using defaults:', e)
+    return JSON.parse(JSON.stringify(DEFAULT_DICTIONARY))
+  }
+}
+
+/**
+ * Dictionary without empty keys and values
+ */
+function cleanDictionary(dictionary) {
+  const clean = entries => Object.fromEntries(
+    Object.entries(entries || {})
+      .map(([title, query]) => [title.trim(), query.trim()])
+      .filter(([title, query]) => title && query)
+  )
+  return { movies: clean(dictionary.movies), books: clean(dictionary.books) }
+}
+
+/**
+ * Save the dictionary (empty keys and values are dropped)
+ */
+export function saveTitleDictionary(dictionary) {
+  localStorage.setItem(DICTIONARY_STORAGE_KEY, JSON.stringify(cleanDictionary(dictionary)))
+}
+
+/**
+ * Dictionary as a JSON string for download; the saved one by default
+ */
+export function exportTitleDictionary(dictionary = getTitleDictionary()) {
+  return JSON.stringify(cleanDictionary(dictionary), null, 2)
+}
+
+/**
+ * Parse an exported dictionary. Throws on invalid input.
+ */
+export function parseTitleDictionary(json) {
+  const parsed = JSON.parse(json)
+  const isEntries = value => value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(v => typeof v === 'string')
+  if (!isEntries(parsed?.movies || {}) || !isEntries(parsed?.books || {})) {
+    throw new Error('Ожидается объект { "movies": {...}, "books": {...} } со строковыми значениями')
+  }
+  return { movies: parsed.movies || {}, books: parsed.books || {} }
+}
+
+/**
+ * Dictionary entry for a title (case-insensitive)
+ */
+function lookupDictionary(kind, title) {
+  const entries = getTitleDictionary()[kind] || {}
+  const key = title.toLowerCase()
+  const match = Object.entries(entries).find(([entry]) => entry.toLowerCase() === key)
+  return match ? match[1] : null
+}
+
+export function hasCyrillic(text) {
+  return /[а-яё]/i.test(text)
+}
+
+/**
+ * Latin transliteration of a Russian title
+ */
+export function transliterate(text) {
+  return [...text].map(char => {
+    const lower = char.toLowerCase()
+    const latin = TRANSLIT_TABLE[lower]
+    if (latin === undefined) return char
+    return char === lower ? latin : latin.charAt(0).toUpperCase() + latin.slice(1)
+  }).join('')
+}
+
+/**
+ * Run the pipeline for a cleaned title.
+ * `attempt(query, source)` returns a result or null.
+ * Options: { remote(title) } returns alternative queries (step 2).
+ * Returns { result, query, source }; result is null if every step failed.
+ */
+export async function resolveTitle(title, kind, attempt, options = {}) {
+  const tried = new Set()
+  const run = async (query, source) => {
+    if (!query || tried.has(query.toLowerCase())) return null
+    tried.add(query.toLowerCase())
+    const result = await attempt(query, source)
+    return result ? { result, query, source } : null
+  }
+
+  const fromDictionary = await run(lookupDictionary(kind, title), TITLE_SOURCES.USER)
+  if (fromDictionary) return fromDictionary
+
+  if (options.remote) {
+    for (const alternative of await options.remote(title)) {
+      const found = await run(alternative, TITLE_SOURCES.REMOTE)
+      if (found) return found
+    }
+  }
+
+  if (hasCyrillic(title)) {
+    const found = await run(transliterate(title), TITLE_SOURCES.TRANSLIT)
+    if (found) return found
+  }
+
+  // The original title is always tried, even if an earlier step used the same text
+  tried.delete(title.toLowerCase())
+  return await run(title, TITLE_SOURCES.ORIGINAL) || { result: null, query: title, source: null }
+}
@@ -1,4 +1,9 @@
 // TMDB API Service for movie posters and additional info
+import { getTmdbOverride } from './tmdbOverrides.js'
+import { resolveTitle, TITLE_SOURCES } from './titleResolver.js'
+import { createCache, clearCache, flushCache } from './cache.js'
+import { scheduledFetch, isAbortError, PRIORITY } from './scheduler.js'
+
 const TMDB_API_URL = 'https://api.themoviedb.org/3'
 const TMDB_IMAGE_URL = 'https://image.tmdb.org/t/p'
 
@@ -26,117 +31,20 @@ export const POSTER_SIZES = {
   original: 'original'
 }
 
-// In-memory cache for API results
-const cache = new Map()
-
-// LocalStorage cache key
-const CACHE_STORAGE_KEY = 'tmdb_posters_cache'
-const CACHE_VERSION = 1
-const CACHE_EXPIRY_DAYS = 30 // Cache expires after 30 days
-
-/**
- * Load cache from localStorage
- */
-function loadCacheFromStorage() {
-  try {
-    const cached = localStorage.getItem(CACHE_STORAGE_KEY)
-    if (!cached) return
-
-    const parsed = JSON.parse(cached)
-    
-    // Check cache version
-    if (parsed.version !== CACHE_VERSION) {
-      console.log('TMDB: Cache version mismatch, clearing old cache')
-      localStorage.removeItem(CACHE_STORAGE_KEY)
-      return
-    }
-
-    // Check expiry
-    const now = Date.now()
-    if (parsed.expiry && parsed.expiry < now) {
-      console.log('TMDB: Cache expired, clearing')
-      localStorage.removeItem(CACHE_STORAGE_KEY)
-      return
-    }
-
-    // Load into memory cache
-    if (parsed.data) {
-      Object.entries(parsed.data).forEach(([key, value]) => {
-        cache.set(key, value)
-      })
-      console.log(`TMDB: Loaded ${Object.keys(parsed.data).length} cached poster results`)
-    }
-  } catch (e) {
-    console.warn('TMDB: Failed to load cache from storage:', e)
-    localStorage.removeItem(CACHE_STORAGE_KEY)
-  }
-}
+// Search results, details and providers (see cache.js).
+// Version 4: providers keep the countries they are available in.
+const cache = createCache('tmdb', { version: 4 })
 
-/**
- * Save cache to localStorage
- */
-export function saveCacheToStorage() {
-  try {
-    const cacheData = {}
-    cache.forEach((value, key) => {
-      cacheData[key] = value
-    })
-
-    const toStore = {
-      version: CACHE_VERSION,
-      expiry: Date.now() + (CACHE_EXPIRY_DAYS * 24 * 60 * 60 * 1000),
-      data: cacheData
-    }
-
-    // Check size (localStorage limit is ~5-10MB)
-    const jsonString = JSON.stringify(toStore)
-    if (jsonString.length > 4 * 1024 * 1024) { // 4MB limit
-      console.warn('TMDB: Cache too large, clearing oldest entries')
-      // Remove oldest 20% of entries
-      const entries = Object.entries(cacheData)
-      entries.sort((a, b) => {
-        // Sort by some criteria (e.g., keep most recent)
-        return 0 // Simple: remove random entries
-      })
-      const toKeep = entries.slice(0, Math.floor(entries.length * 0.8))
-      toStore.data = Object.fromEntries(toKeep)
-    }
-
-    localStorage.setItem(CACHE_STORAGE_KEY, JSON.stringify(toStore))
-  } catch (e) {
-    console.warn('TMDB: Failed to save cache to storage:', e)
-    // If quota exceeded, clear and try again
-    if (e.name === 'QuotaExceededError') {
-      console.log('TMDB: Storage quota exceeded, clearing cache')
-      localStorage.removeItem(CACHE_STORAGE_KEY)
-    }
-  }
-}
+// Pre-IndexedDB cache, superseded by cache.js
+localStorage.removeItem('tmdb_posters_cache')
 
 /**
- * Clear the TMDB cache (both memory and storage)
+ * Clear the TMDB cache
  */
-export function clearTmdbCache() {
-  cache.clear()
-  localStorage.removeItem(CACHE_STORAGE_KEY)
-  console.log('TMDB cache cleared (memory + storage)')
+export async function clearTmdbCache() {
+  await clearCache('tmdb')
 }
 
-// Debounce for saving cache to avoid too many writes
-let saveCacheTimeout = null
-function debouncedSaveCache() {
-  if (saveCacheTimeout) {
-    clearTimeout(saveCacheTimeout)
-  }
-  saveCacheTimeout = setTimeout(() => {
-    saveCacheToStorage()
-    saveCacheTimeout = null
-  }, 1000) // Save after 1 second of inactivity
-}
-
-// Load cache on module initialization
-loadCacheFromStorage()
-
 /**
  * Clean movie title for search
  */
@@ -149,51 +57,33 @@ function cleanTitle(title) {
     .trim()
 }
 
+// Candidates shown in the "Wrong poster?" picker
+const MAX_MATCH_CANDIDATES = 8
+
 /**
- * Translate common Russian titles to English for better search
+ * Minimum score for an automatic match.
+ * With a year require at least 80 points, without a year at least 30.
  */
-const TITLE_TRANSLATIONS = {
-  'Бешеный бык': 'Raging Bull',
-  'Забавные игры': 'Funny Games',
-  'Рыцари справедливости': 'Riders of Justice',
-  'Шоа': 'Shoah',
-  'Минари': 'Minari',
-  'Ванильное небо': 'Vanilla Sky',
-  'Фарго': 'Fargo',
-  'Солнце мое': 'All of Us Strangers',
-  'Быстрее пули': 'Bullet Train',
-  'Варвар': 'Barbarian',
-  'По соображениям совести': 'Hacksaw Ridge',
-  'Шоссе в никуда': 'Lost Highway',
-  'Малхолланд Драйв': 'Mulholland Drive',
-  'Королевство полной луны': 'Moonrise Kingdom',
-  'Темный рыцарь': 'The Dark Knight',
-  'Убить Билла': 'Kill Bill',
-  'Дом у озера': 'The Lake House',
-  'Атака титанов': 'Attack on Titan',
-  'Викинги': 'Vikings',
-  'Падения дома Ашеров': 'The Fall of the House of Usher',
-  'Великая красота': 'The Great Beauty',
-  'Сядь за руль моей машины': 'Drive My Car',
-  'Перевал Кассандры': 'The Cassandra Crossing',
-  'Фантазия': 'Fantasia',
-  'Накойкаци': 'Naqoyqatsi',
-  'Трудно быть богом': 'Hard to Be a God',
-  'Прощай речь': 'Goodbye to Language'
+function minMatchScore(year) {
+  return year ? 80 : 30
 }
 
+// Confidence thresholds: a match this far above the minimum is "high",
+// a runner-up this close to the best one makes the match "ambiguous"
+const HIGH_CONFIDENCE_MARGIN = 50
+const AMBIGUOUS_SCORE_GAP = 30
+
 /**
- * Find the best matching result from TMDB search results
+ * Score TMDB search results against the searched title and year.
+ * Returns [{ result, score, breakdown, titleMatch }] sorted by score, best first;
+ * `breakdown` holds the points for { year, title, popularity, votes }.
  */
-function findBestMatch(results, searchTitle, year, isTV) {
-  if (!results || results.length === 0) return null
-  if (results.length === 1) return results[0]
-
+function scoreResults(results, searchTitle, year, isTV) {
   const normalizedSearch = searchTitle.toLowerCase().trim()
 
   // Score each result
   const scored = results.map(result => {
-    let score = 0
+    const breakdown = { year: 0, title: 0, popularity: 0, votes: 0 }
     const resultTitle = (isTV ? result.name : result.title || '').toLowerCase()
     const originalTitle = (isTV ? result.original_name : result.original_title || '').toLowerCase()
     const releaseDate = isTV ? result.first_air_date : result.release_date
@@ -202,50 +92,86 @@ function findBestMatch(results, searchTitle, year, isTV) {
     // Year matching (highest priority) - stricter matching
     if (year && resultYear) {
       if (resultYear === year) {
-        score += 150 // Exact year match gets highest priority
+        breakdown.year = 150 // Exact year match gets highest priority
       } else if (Math.abs(resultYear - year) === 1) {
-        score += 30 // Allow 1 year difference but with lower score
+        breakdown.year = 30 // Allow 1 year difference but with lower score
       } else if (Math.abs(resultYear - year) <= 2) {
-        score += 10 // Allow 2 years but very low score
+        breakdown.year = 10 // Allow 2 years but very low score
       } else {
         // Penalize results with year difference > 2
-        score -= 50
+        breakdown.year = -50
       }
     } else if (year && !resultYear) {
       // Penalize results without year when we have one
-      score -= 20
+      breakdown.year = -20
     }
 
     // Exact title match
+    let titleMatch = true
     if (resultTitle === normalizedSearch || originalTitle === normalizedSearch) {
-      score += 100
+      breakdown.title = 100
     }
     // Title starts with search term
     else if (resultTitle.startsWith(normalizedSearch) || originalTitle.startsWith(normalizedSearch)) {
-      score += 50
+      breakdown.title = 50
     }
     // Title contains search term
     else if (resultTitle.includes(normalizedSearch) || originalTitle.includes(normalizedSearch)) {
-      score += 25
+      breakdown.title = 25
     } else {
       // Penalize if title doesn't match at all
-      score -= 30
+      breakdown.title = -30
+      titleMatch = false
     }
 
     // Popularity boost (for disambiguation, but less weight)
-    score += Math.min(result.popularity / 20, 10)
+    breakdown.popularity = Math.min((result.popularity || 0) / 20, 10)
 
     // Vote count boost (more votes = more reliable)
-    score += Math.min(result.vote_count / 200, 5)
+    breakdown.votes = Math.min((result.vote_count || 0) / 200, 5)
 
-    return { result, score }
+    const score = breakdown.year + breakdown.title + breakdown.popularity + breakdown.votes
+    return { result, score, breakdown, titleMatch }
   })
 
   // Sort by score descending
-  scored.sort((a, b) => b.score - a.score)
+  return scored.sort((a, b) => b.score - a.score)
+}
+
+/**
+ * Confidence of an accepted match: 'high', 'low' or 'ambiguous'
+ */
+function matchConfidence(bestMatch, secondBest, minScore) {
+  if (secondBest && bestMatch.score - secondBest.score < AMBIGUOUS_SCORE_GAP) return 'ambiguous'
+  return bestMatch.score >= minScore + HIGH_CONFIDENCE_MARGIN ? 'high' : 'low'
+}
+
+/**
+ * Find the best matching result from TMDB search results.
+ * Returns { result, score, breakdown, confidence } or null.
+ * Options: { requireTitleMatch } rejects results whose title does not
+ * contain the query (used for guessed queries such as transliterations).
+ */
+function findBestMatch(results, searchTitle, year, isTV, options = {}) {
+  if (!results || results.length === 0) return null
+
+  const scored = scoreResults(results, searchTitle, year, isTV)
+    .filter(s => !options.requireTitleMatch || s.titleMatch)
+  if (scored.length === 0) return null
 
   const bestMatch = scored[0]
   const secondBest = scored[1]
+  // Minimum score threshold to ensure quality match
+  const minScore = minMatchScore(year)
+  const match = {
+    result: bestMatch.result,
+    score: bestMatch.score,
+    breakdown: bestMatch.breakdown,
+    confidence: matchConfidence(bestMatch, secondBest, minScore)
+  }
+
+  // A single result is accepted as is, whatever its score
+  if (results.length === 1) return match
 
   console.log(`TMDB: Best match scores for "${searchTitle}" (year: ${year}):`,
     scored.slice(0, 3).map(s => {
@@ -254,11 +180,6 @@ function findBestMatch(results, searchTitle, year, isTV) {
       return `${isTV ? s.result.name : s.result.title} (${resultYear || '?'}, score: ${s.score.toFixed(1)})`
     }))
 
-  // Minimum score threshold to ensure quality match
-  // If year is provided, require at least 80 points (lowered from 100 for better matching)
-  // If no year, require at least 30 points (lowered from 50)
-  const minScore = year ? 80 : 30
-  
   if (bestMatch.score < minScore) {
     console.warn(`TMDB: Low confidence match for "${searchTitle}" (score: ${bestMatch.score.toFixed(1)}, min: ${minScore}) - rejecting`)
     // If second best is close, might be ambiguous
@@ -269,330 +190,439 @@ function findBestMatch(results, searchTitle, year, isTV) {
     return null
   }
 
-  return bestMatch.result
+  return match
 }
 
 /**
- * Search for a movie on TMDB
+ * Convert a raw TMDB search result into the shape used across the app
  */
-export async function searchMovie(title, apiKey, year = null, isTV = false) {
-  if (!apiKey) {
-    console.warn('TMDB: No API key provided')
-    return null
+function normalizeResult(result, isTV) {
+  return {
+    id: result.id,
+    title: isTV ? result.name : result.title,
+    originalTitle: isTV ? result.original_name : result.original_title,
+    posterPath: result.poster_path,
+    backdropPath: result.backdrop_path,
+    overview: result.overview,
+    releaseDate: isTV ? result.first_air_date : result.release_date,
+    voteAverage: result.vote_average,
+    voteCount: result.vote_count,
+    genreIds: result.genre_ids || [],
+    isTV
   }
+}
 
-  const cleanedTitle = cleanTitle(title)
-  const cacheKey = `${cleanedTitle}-${year}-${isTV}`
-
-  // Check in-memory cache first
-  if (cache.has(cacheKey)) {
-    const cached = cache.get(cacheKey)
-    console.log(`TMDB: Using cached result for "${cleanedTitle}"`)
-    return cached
-  }
+/**
+ * Search TMDB and return all normalized results (no best-match selection).
+ * Used by the "Add movie" dialog for live search.
+ */
+export async function searchMovieCandidates(query, apiKey, isTV = false) {
+  if (!apiKey || !query || !query.trim()) return []
 
-  // Try translated title first if available
-  const searchTitle = TITLE_TRANSLATIONS[cleanedTitle] || cleanedTitle
-  const isTranslated = TITLE_TRANSLATIONS[cleanedTitle] !== undefined
   const endpoint = isTV ? 'search/tv' : 'search/movie'
-
-  console.log(`TMDB: Searching for "${searchTitle}" (original: "${cleanedTitle}", year: ${year}, translated: ${isTranslated})`)
+  const url = `${TMDB_API_URL}/${endpoint}?api_key=${apiKey}&query=${encodeURIComponent(query.trim())}&language=ru-RU`
 
   try {
-    // If title is translated to English, use English language for search
-    // Otherwise use Russian
-    const searchLanguage = isTranslated ? 'en-US' : 'ru-RU'
-    
-    // Build URL with year parameter if available (helps TMDB filter results)
-    // But if year search fails, we'll try without year as fallback
-    let url = `${TMDB_API_URL}/${endpoint}?api_key=${apiKey}&query=${encodeURIComponent(searchTitle)}&language=${searchLanguage}`
-    if (year) {
-      url += `&year=${year}`
+    // The user is waiting for these: ahead of background poster loading
+    const response = await scheduledFetch(url, { priority: PRIORITY.VISIBLE })
+    if (!response.ok) {
+      console.error(`TMDB API error: ${response.status} ${response.statusText}`)
+      return []
     }
 
-    let response
+    const data = await response.json()
+    return (data.results || []).slice(0, 10).map(result => normalizeResult(result, isTV))
+  } catch (error) {
+    console.error('TMDB candidates search error:', error)
+    return []
+  }
+}
+
+/**
+ * Scored candidates for a task title, movies and TV together.
+ * Used by the "Wrong poster?" picker; each candidate has `score` and
+ * `belowThreshold` (true if automatic matching would reject it).
+ */
+export async function fetchMatchCandidates(title, apiKey, year = null, isSeries = false) {
+  if (!apiKey || !title) return []
+
+  const searchTitle = cleanTitle(title)
+  const minScore = minMatchScore(year)
+
+  const lists = await Promise.all([false, true].map(async isTV => {
+    const endpoint = isTV ? 'search/tv' : 'search/movie'
+    const url = `${TMDB_API_URL}/${endpoint}?api_key=${apiKey}&query=${encodeURIComponent(searchTitle)}&language=ru-RU`
     try {
-      response = await fetch(url)
-    } catch (fetchError) {
-      // Network error (connection refused, timeout, etc.)
-      console.error(`TMDB: Network error fetching "${searchTitle}":`, fetchError.message)
-      // Return cached result if available, even if expired
-      if (cache.has(cacheKey)) {
-        console.log(`TMDB: Using cached result due to network error`)
-        return cache.get(cacheKey)
-      }
-      return null
+      const response = await scheduledFetch(url, { priority: PRIORITY.VISIBLE })
+      if (!response.ok) return []
+      const data = await response.json()
+      return scoreResults(data.results || [], searchTitle, year, isTV).map(({ result, score }) => ({
+        ...normalizeResult(result, isTV),
+        // Series are expected in a series task, movies otherwise
+        score: score + (isTV === isSeries ? 10 : 0),
+        belowThreshold: score < minScore
+      }))
+    } catch (error) {
+      console.error('TMDB candidates error:', error)
+      return []
     }
+  }))
 
-    if (!response.ok) {
-      console.error(`TMDB API error: ${response.status} ${response.statusText}`)
-      const errorText = await response.text()
-      console.error('Response:', errorText)
-      // Return cached result if available
-      if (cache.has(cacheKey)) {
-        console.log(`TMDB: Using cached result due to API error`)
-        return cache.get(cacheKey)
-      }
-      return null
-    }
+  return lists.flat().sort((a, b) => b.score - a.score).slice(0, MAX_MATCH_CANDIDATES)
+}
 
-    let data = await response.json()
+/**
+ * Load a movie/TV by its TMDB ID in the search result shape.
+ * `request` ({ priority, signal }) is passed to the scheduler, as everywhere below.
+ */
+async function fetchMovieById(tmdbId, apiKey, isTV = false, request = {}) {
+  const endpoint = isTV ? 'tv' : 'movie'
+  const url = `${TMDB_API_URL}/${endpoint}/${tmdbId}?api_key=${apiKey}&language=ru-RU`
 
-    // If no results and we used Russian, try English (with year if available)
-    if ((!data.results || data.results.length === 0) && !isTranslated) {
-      url = `${TMDB_API_URL}/${endpoint}?api_key=${apiKey}&query=${encodeURIComponent(searchTitle)}&language=en-US`
-      if (year) {
-        url += `&year=${year}`
-      }
-      try {
-        response = await fetch(url)
-        if (response.ok) {
-          data = await response.json()
-        }
-      } catch (fetchError) {
-        console.error(`TMDB: Network error fetching English version:`, fetchError.message)
-        // Return cached if available
-        if (cache.has(cacheKey)) {
-          return cache.get(cacheKey)
-        }
+  try {
+    return await cache.read('search', `id-${tmdbId}-${isTV}`, async () => {
+      const response = await scheduledFetch(url, request)
+      if (!response.ok) {
+        throw new Error(`TMDB API error: ${response.status} ${response.statusText}`)
       }
-    }
-    
-    // If still no results and we used English translation, try Russian original title
-    if ((!data.results || data.results.length === 0) && isTranslated) {
-      url = `${TMDB_API_URL}/${endpoint}?api_key=${apiKey}&query=${encodeURIComponent(cleanedTitle)}&language=ru-RU`
-      if (year) {
-        url += `&year=${year}`
+
+      const data = await response.json()
+      return normalizeResult({ ...data, genre_ids: (data.genres || []).map(g => g.id) }, isTV)
+    })
+  } catch (error) {
+    if (!isAbortError(error)) console.error(`TMDB: Error loading ${endpoint}/${tmdbId}:`, error)
+    return null
+  }
+}
+
+/**
+ * One TMDB search request. Throws on network and HTTP errors (including
+ * 429/5xx the scheduler gave up on) so they are not cached as misses.
+ */
+async function fetchSearchResults(endpoint, query, apiKey, language, year = null, request = {}) {
+  let url = `${TMDB_API_URL}/${endpoint}?api_key=${apiKey}&query=${encodeURIComponent(query)}&language=${language}`
+  if (year) {
+    url += `&year=${year}`
+  }
+
+  const response = await scheduledFetch(url, request)
+  if (!response.ok) {
+    throw new Error(`TMDB API error: ${response.status} ${response.statusText}`)
+  }
+  const data = await response.json()
+  return data.results || []
+}
+
+/**
+ * Search one query: with the year first, then without it.
+ * Options: findBestMatch options and { request }.
+ * Returns the best match (see findBestMatch) or null.
+ */
+async function searchQuery(query, apiKey, year, isTV, language, options = {}) {
+  const endpoint = isTV ? 'search/tv' : 'search/movie'
+
+  // Year helps TMDB filter results, but may be off by a release date
+  let results = await fetchSearchResults(endpoint, query, apiKey, language, year, options.request)
+  let match = findBestMatch(results, query, year, isTV, options)
+
+  if (!match && year) {
+    console.log(`TMDB: No good match with year ${year}, trying without year filter for "${query}"`)
+    results = await fetchSearchResults(endpoint, query, apiKey, language, null, options.request)
+    match = findBestMatch(results, query, null, isTV, options)
+  }
+  return match
+}
+
+/**
+ * Step 2 of the title pipeline: find the title among Russian titles,
+ * alternative titles and translations of the top TMDB hits.
+ * Returns original/English titles to search for. Found and not found are
+ * cached like searches; failures throw so they are not cached.
+ */
+async function fetchTitleTranslations(title, apiKey, isTV, request = {}) {
+  const endpoint = isTV ? 'tv' : 'movie'
+  const normalized = title.toLowerCase()
+
+  return await cache.read('search', `translations-${normalized}-${isTV}`, async () => {
+    const results = await fetchSearchResults(`search/${endpoint}`, title, apiKey, 'ru-RU', null, request)
+    for (const result of results.slice(0, 3)) {
+      const url = `${TMDB_API_URL}/${endpoint}/${result.id}?api_key=${apiKey}&append_to_response=alternative_titles,translations`
+      const response = await scheduledFetch(url, request)
+      if (!response.ok) {
+        throw new Error(`TMDB API error: ${response.status} ${response.statusText}`)
       }
-      try {
-        response = await fetch(url)
-        if (response.ok) {
-          data = await response.json()
-        }
-      } catch (fetchError) {
-        console.error(`TMDB: Network error fetching Russian original:`, fetchError.message)
-        // Return cached if available
-        if (cache.has(cacheKey)) {
-          return cache.get(cacheKey)
-        }
+
+      const data = await response.json()
+      const alternatives = data.alternative_titles?.titles || data.alternative_titles?.results || []
+      const translations = data.translations?.translations || []
+      const names = [
+        result.title || result.name,
+        ...alternatives.map(a => a.title),
+        ...translations.map(t => t.data?.title || t.data?.name)
+      ].filter(Boolean)
+
+      if (names.some(name => name.toLowerCase() === normalized)) {
+        const english = translations.find(t => t.iso_639_1 === 'en')?.data
+        return [data.original_title || data.original_name, english?.title || english?.name].filter(Boolean)
       }
     }
+    return []
+  })
+}
 
+/**
+ * Search for a movie on TMDB.
+ * The title goes through the title resolver (see titleResolver.js).
+ * Found results carry `match` ({ score, breakdown, confidence, source, query }).
+ * Options: { tmdbId } skips the search and loads that exact title
+ * (no `match`: the ID was chosen by the user); { request } for the scheduler.
+ */
+export async function searchMovie(title, apiKey, year = null, isTV = false, options = {}) {
+  if (!apiKey) {
+    console.warn('TMDB: No API key provided')
+    return null
+  }
 
-    if (data.results && data.results.length > 0) {
-      // Find the best matching result instead of just taking the first one
-      let result = findBestMatch(data.results, searchTitle, year, isTV)
-
-      // If no good match found with year, try without year filter (fallback)
-      if (!result && year) {
-        console.log(`TMDB: No good match with year ${year}, trying without year filter for "${searchTitle}"`)
-        // Try search without year, using same language as original search
-        url = `${TMDB_API_URL}/${endpoint}?api_key=${apiKey}&query=${encodeURIComponent(searchTitle)}&language=${searchLanguage}`
-        try {
-          response = await fetch(url)
-          if (response.ok) {
-            const fallbackData = await response.json()
-            if (fallbackData.results && fallbackData.results.length > 0) {
-              result = findBestMatch(fallbackData.results, searchTitle, null, isTV)
-            }
-          }
-        } catch (fetchError) {
-          console.error(`TMDB: Network error in fallback search:`, fetchError.message)
-          // Return cached if available
-          if (cache.has(cacheKey)) {
-            return cache.get(cacheKey)
-          }
-        }
-      }
+  if (options.tmdbId) {
+    return await fetchMovieById(options.tmdbId, apiKey, isTV, options.request)
+  }
+
+  const cleanedTitle = cleanTitle(title)
+  const cacheKey = `${cleanedTitle}-${year}-${isTV}`
 
-      // If still no good match found, cache null result to avoid repeated failed searches
-      if (!result) {
-        console.warn(`TMDB: No good match found for "${searchTitle}" (year: ${year || 'none'})`)
-        cache.set(cacheKey, null)
-        // Cache null results too to avoid repeated failed searches
-        debouncedSaveCache()
+  try {
+    // Misses are cached too to avoid repeated failed searches
+    return await cache.read('search', cacheKey, async () => {
+      console.log(`TMDB: Searching for "${cleanedTitle}" (year: ${year})`)
+
+      const { result: match, query, source } = await resolveTitle(
+        cleanedTitle,
+        'movies',
+        async (query, source) => {
+          if (source === TITLE_SOURCES.ORIGINAL) {
+            // Russian first, then English (titles of foreign films are often left untranslated)
+            return await searchQuery(query, apiKey, year, isTV, 'ru-RU', { request: options.request }) ||
+              await searchQuery(query, apiKey, year, isTV, 'en-US', { request: options.request })
+          }
+          // Guessed queries must match the title, dictionary and TMDB ones are trusted
+          return await searchQuery(query, apiKey, year, isTV, 'en-US', {
+            requireTitleMatch: source === TITLE_SOURCES.TRANSLIT,
+            request: options.request
+          })
+        },
+        { remote: title => fetchTitleTranslations(title, apiKey, isTV, options.request) }
+      )
+
+      if (!match) {
+        console.warn(`TMDB: No good match found for "${cleanedTitle}" (year: ${year || 'none'})`)
         return null
       }
 
-      const movieData = {
-        id: result.id,
-        title: isTV ? result.name : result.title,
-        originalTitle: isTV ? result.original_name : result.original_title,
-        posterPath: result.poster_path,
-        backdropPath: result.backdrop_path,
-        overview: result.overview,
-        releaseDate: isTV ? result.first_air_date : result.release_date,
-        voteAverage: result.vote_average,
-        voteCount: result.vote_count,
-        genreIds: result.genre_ids || [],
-        isTV
+      console.log(`TMDB: Found "${cleanedTitle}" via ${source} query "${query}" (${match.confidence} confidence)`)
+      const movieData = normalizeResult(match.result, isTV)
+      // How the match was chosen, shown as a confidence badge on the card
+      movieData.match = {
+        score: match.score,
+        breakdown: match.breakdown,
+        confidence: match.confidence,
+        source,
+        query
       }
-      
-      // Save to memory cache
-      cache.set(cacheKey, movieData)
-      
-      // Save to localStorage (debounced to avoid too many writes)
-      debouncedSaveCache()
-      
       return movieData
-    }
-
-    // Cache null result to avoid repeated failed searches
-    cache.set(cacheKey, null)
-    debouncedSaveCache()
-    return null
+    })
   } catch (error) {
-    console.error('TMDB search error:', error)
+    // Network errors and cancelled loads are not cached: the next load searches again
+    if (!isAbortError(error)) console.error(`TMDB: Search error for "${cleanedTitle}":`, error.message)
     return null
   }
 }
 
 /**
- * Fetch watch providers (streaming platforms) for a movie/TV
- * Fetches from multiple countries and combines results
+ * Forget cached searches for these cleaned titles (after dictionary edits)
  */
-export async function fetchWatchProviders(tmdbId, apiKey, isTV = false) {
-  if (!apiKey || !tmdbId) return null
+export async function forgetCachedTitles(titles) {
+  const prefixes = titles.map(title => `${cleanTitle(title)}-`)
+  await cache.deleteWhere(key => prefixes.some(prefix => key.startsWith(prefix)))
+}
 
-  const cacheKey = `providers-${tmdbId}-${isTV}-multi`
-  if (cache.has(cacheKey)) {
-    return cache.get(cacheKey)
-  }
+/**
+ * Fetch watch providers (streaming platforms) for a movie/TV:
+ * { flatrate, rent, buy }, each provider with the `countries` it is available in
+ * Options: { request } for the scheduler
+ */
+export async function fetchWatchProviders(tmdbId, apiKey, isTV = false, options = {}) {
+  if (!apiKey || !tmdbId) return null
 
   const endpoint = isTV ? 'tv' : 'movie'
   const url = `${TMDB_API_URL}/${endpoint}/${tmdbId}/watch/providers?api_key=${apiKey}`
 
   try {
-    const response = await fetch(url)
-    if (!response.ok) return null
-
-    const data = await response.json()
-    
-    // Countries to check (priority order)
-    const countries = ['RU', 'US', 'GB', 'DE', 'FR']
-    
-    // Combine providers from multiple countries
-    const combinedProviders = {
-      flatrate: new Map(), // Use Map to deduplicate by provider ID
-      rent: new Map(),
-      buy: new Map()
-    }
-    
-    // Process each country
-    for (const country of countries) {
-      const providers = data.results?.[country]
-      if (!providers) continue
-      
-      // Add flatrate providers
-      if (providers.flatrate) {
-        providers.flatrate.forEach(p => {
-          if (!combinedProviders.flatrate.has(p.provider_id)) {
-            combinedProviders.flatrate.set(p.provider_id, {
-              id: p.provider_id,
-              name: p.provider_name,
-              logo: p.logo_path
-            })
-          }
-        })
-      }
-      
-      // Add rent providers
-      if (providers.rent) {
-        providers.rent.forEach(p => {
-          if (!combinedProviders.rent.has(p.provider_id)) {
-            combinedProviders.rent.set(p.provider_id, {
-              id: p.provider_id,
-              name: p.provider_name,
-              logo: p.logo_path
-            })
-          }
-        })
+    return await cache.read('providers', `providers-${tmdbId}-${isTV}`, async () => {
+      const response = await scheduledFetch(url, options.request)
+      if (!response.ok) {
+        throw new Error(`TMDB API error: ${response.status} ${response.statusText}`)
       }
-      
-      // Add buy providers
-      if (providers.buy) {
-        providers.buy.forEach(p => {
-          if (!combinedProviders.buy.has(p.provider_id)) {
-            combinedProviders.buy.set(p.provider_id, {
-              id: p.provider_id,
-              name: p.provider_name,
-              logo: p.logo_path
-            })
-          }
+
+      const data = await response.json()
+
+      // Merge every country, remembering where each provider is available;
+      // the home regions are applied when providers are shown (providers.js)
+      const combined = { flatrate: new Map(), rent: new Map(), buy: new Map() }
+
+      Object.entries(data.results || {}).forEach(([country, providers]) => {
+        Object.keys(combined).forEach(kind => {
+          (providers[kind] || []).forEach(p => {
+            if (!combined[kind].has(p.provider_id)) {
+              combined[kind].set(p.provider_id, {
+                id: p.provider_id,
+                name: p.provider_name,
+                logo: p.logo_path,
+                countries: []
+              })
+            }
+            combined[kind].get(p.provider_id).countries.push(country)
+          })
         })
+      })
+
+      const providerData = {
+        flatrate: Array.from(combined.flatrate.values()),
+        rent: Array.from(combined.rent.values()),
+        buy: Array.from(combined.buy.values())
       }
-    }
-    
-    // Convert Maps to Arrays
-    const providerData = {
-      flatrate: Array.from(combinedProviders.flatrate.values()),
-      rent: Array.from(combinedProviders.rent.values()),
-      buy: Array.from(combinedProviders.buy.values())
-    }
-    
-    // Only cache if we have at least one provider
-    if (providerData.flatrate.length > 0 || providerData.rent.length > 0 || providerData.buy.length > 0) {
-      cache.set(cacheKey, providerData)
-      return providerData
-    }
 
-    cache.set(cacheKey, null)
-    return null
+      // No providers anywhere is cached as null
+      if (providerData.flatrate.length > 0 || providerData.rent.length > 0 || providerData.buy.length > 0) {
+        return providerData
+      }
+      return null
+    })
   } catch (error) {
-    console.error('TMDB watch providers error:', error)
+    if (!isAbortError(error)) console.error('TMDB watch providers error:', error)
     return null
   }
 }
 
 /**
  * Fetch detailed movie/TV info from TMDB
+ * Options: { withEpisodes } adds episode lists to TV seasons (extra requests),
+ * { request } for the scheduler
  */
-export async function fetchMovieDetails(tmdbId, apiKey, isTV = false) {
+export async function fetchMovieDetails(tmdbId, apiKey, isTV = false, options = {}) {
   if (!apiKey || !tmdbId) return null
 
-  const cacheKey = `details-${tmdbId}-${isTV}`
-  if (cache.has(cacheKey)) {
-    return cache.get(cacheKey)
+  if (isTV && options.withEpisodes) {
+    return await fetchSeriesWithEpisodes(tmdbId, apiKey, options.request)
   }
 
   const endpoint = isTV ? 'tv' : 'movie'
   const url = `${TMDB_API_URL}/${endpoint}/${tmdbId}?api_key=${apiKey}&language=ru-RU&append_to_response=credits`
 
   try {
-    const response = await fetch(url)
-    if (!response.ok) return null
-
-    const data = await response.json()
+    return await cache.read('details', `details-${tmdbId}-${isTV}`, async () => {
+      const response = await scheduledFetch(url, options.request)
+      if (!response.ok) {
+        throw new Error(`TMDB API error: ${response.status} ${response.statusText}`)
+      }
 
-    const details = {
-      genres: data.genres || [],
-      runtime: isTV ? (data.episode_run_time?.[0] || null) : data.runtime,
-      productionCountries: data.production_countries || [],
-      originalLanguage: data.original_language,
-      status: data.status,
-      tagline: data.tagline,
-      cast: (data.credits?.cast || []).slice(0, 5).map(p => ({
-        name: p.name,
-        character: p.character,
-        profilePath: p.profile_path
-      })),
-      director: isTV
-        ? (data.created_by || []).map(p => p.name).join(', ')
-        : (data.credits?.crew || []).find(p => p.job === 'Director')?.name || null,
-      // TV-specific
-      numberOfSeasons: isTV ? data.number_of_seasons : null,
-      numberOfEpisodes: isTV ? data.number_of_episodes : null,
-      networks: isTV ? (data.networks || []).map(n => n.name) : null
-    }
+      const data = await response.json()
+
+      const details = {
+        genres: data.genres || [],
+        runtime: isTV ? (data.episode_run_time?.[0] || null) : data.runtime,
+        productionCountries: data.production_countries || [],
+        originalLanguage: data.original_language,
+        status: data.status,
+        tagline: data.tagline,
+        cast: (data.credits?.cast || []).slice(0, 5).map(p => ({
+          name: p.name,
+          character: p.character,
+          profilePath: p.profile_path
+        })),
+        director: isTV
+          ? (data.created_by || []).map(p => p.name).join(', ')
+          : (data.credits?.crew || []).find(p => p.job === 'Director')?.name || null,
+        // TV-specific
+        numberOfSeasons: isTV ? data.number_of_seasons : null,
+        numberOfEpisodes: isTV ? data.number_of_episodes : null,
+        networks: isTV ? (data.networks || []).map(n => n.name) : null,
+        seasons: isTV ? toSeasons(data.seasons) : null
+      }
 
-    cache.set(cacheKey, details)
-    return details
+      return details
+    })
   } catch (error) {
-    console.error('TMDB details error:', error)
+    if (!isAbortError(error)) console.error('TMDB details error:', error)
     return null
   }
 }
 
+// Specials (season 0) are not part of the progress
+function toSeasons(seasons = []) {
+  return seasons
+    .filter(s => s.season_number > 0)
+    .map(s => ({
+      seasonNumber: s.season_number,
+      name: s.name,
+      episodeCount: s.episode_count,
+      airDate: s.air_date || null
+    }))
+}
+
+// TMDB allows up to 20 appended responses per request
+const MAX_APPENDED_SEASONS = 20
+
+/**
+ * TV details with `seasons[].episodes` ({ episodeNumber, name, airDate }).
+ * Episode lists are cached for a day only (see CACHE_TTL), and bring their own
+ * season list and episode count: the details may be cached for much longer.
+ */
+async function fetchSeriesWithEpisodes(tmdbId, apiKey, request = {}) {
+  const details = await fetchMovieDetails(tmdbId, apiKey, true, { request })
+  if (!details) return null
+
+  try {
+    return await cache.read('episodes', `episodes-${tmdbId}`, async () => {
+      let seasons = details.seasons || []
+      let totals = {}
+      const episodesBySeason = new Map()
+      for (let i = 0; i < seasons.length; i += MAX_APPENDED_SEASONS) {
+        const chunk = seasons.slice(i, i + MAX_APPENDED_SEASONS).map(s => s.seasonNumber)
+        const append = chunk.map(n => `season/${n}`).join(',')
+        const url = `${TMDB_API_URL}/tv/${tmdbId}?api_key=${apiKey}&language=ru-RU&append_to_response=${append}`
+
+        const response = await scheduledFetch(url, request)
+        if (!response.ok) {
+          throw new Error(`TMDB API error: ${response.status} ${response.statusText}`)
+        }
+
+        const data = await response.json()
+        // Seasons added since the details were cached are fetched by the next chunks
+        seasons = toSeasons(data.seasons)
+        totals = { numberOfSeasons: data.number_of_seasons, numberOfEpisodes: data.number_of_episodes }
+        chunk.forEach(n => {
+          const season = data[`season/${n}`]
+          episodesBySeason.set(n, (season?.episodes || []).map(ep => ({
+            episodeNumber: ep.episode_number,
+            name: ep.name,
+            airDate: ep.air_date || null
+          })))
+        })
+      }
+
+      return {
+        ...details,
+        ...totals,
+        seasons: seasons.map(s => ({ ...s, episodes: episodesBySeason.get(s.seasonNumber) || [] }))
+      }
+    })
+  } catch (error) {
+    // Without episodes the series still has its seasons
+    console.error('TMDB season episodes error:', error)
+    return details
+  }
+}
+
 /**
  * Get poster URL
  */
@@ -614,86 +644,85 @@ export function getBackdropUrl(backdropPath, size = 'original') {
 }
 
 /**
- * Batch search multiple movies with parallel processing for speed
+ * TMDB search result for a movie task: the manual override or the ID from
+ * the description if there is one, otherwise a title search.
+ * Options: { request } for the scheduler
  */
-export async function batchSearchMovies(movies, apiKey, onProgress = null, fetchDetails = true) {
-  const results = new Map()
-  let completed = 0
-  
-  // Process movies in parallel batches to speed up loading
-  // Batch size: 5 movies at a time (balance between speed and rate limits)
-  const BATCH_SIZE = 5
-  const batches = []
-  
-  for (let i = 0; i < movies.length; i += BATCH_SIZE) {
-    batches.push(movies.slice(i, i + BATCH_SIZE))
+export async function lookupMovie(movie, apiKey, options = {}) {
+  const { request } = options
+
+  // A manual override wins over the ID stored in the description
+  const tmdbRef = getTmdbOverride(movie.id) || movie.tmdbRef
+  if (tmdbRef) {
+    // Known TMDB ID: no fuzzy search needed
+    return await searchMovie(movie.title, apiKey, movie.year, tmdbRef.isTV, { tmdbId: tmdbRef.id, request })
   }
 
-  console.log(`TMDB: Processing ${movies.length} movies in ${batches.length} parallel batches`)
+  // Always try searching as movie first (more reliable for runtime)
+  const result = await searchMovie(movie.title, apiKey, movie.year, false, { request })
+  if (result || !movie.isSeries || request?.signal?.aborted) return result
 
-  for (const batch of batches) {
-    // Process batch in parallel
-    const batchPromises = batch.map(async (movie) => {
-      let searchResult = null
+  // Not found as movie and marked as series: try TV search
+  return await searchMovie(movie.title, apiKey, movie.year, true, { request })
+}
 
-      try {
-        // Always try searching as movie first (more reliable for runtime)
-        searchResult = await searchMovie(movie.title, apiKey, movie.year, false)
+/**
+ * Copy of a search result with `details` and `watchProviders`
+ * Options: { request } for the scheduler
+ */
+export async function withDetails(result, apiKey, options = {}) {
+  const [details, providers] = await Promise.all([
+    fetchMovieDetails(result.id, apiKey, result.isTV, options),
+    fetchWatchProviders(result.id, apiKey, result.isTV, options)
+  ])
+
+  // Copy so the cached search entry is not changed
+  const tmdbData = { ...result }
+  if (details) tmdbData.details = details
+  if (providers) tmdbData.watchProviders = providers
+  return tmdbData
+}
 
-        // If not found as movie and marked as series, try TV search
-        if (!searchResult && movie.isSeries) {
-          searchResult = await searchMovie(movie.title, apiKey, movie.year, true)
-        }
-      } catch (error) {
-        console.error(`TMDB: Error searching for "${movie.title}":`, error)
-        searchResult = null
-      }
+/**
+ * Look up posters for all movies; details and providers are left to
+ * withDetails, which the caller runs when they are needed.
+ * Requests go through the scheduler, which handles rate limits and retries.
+ * Options:
+ *   - signal: cancels the load
+ *   - requestFor(movie): the movie's scheduler request; the caller may raise
+ *     its priority later (e.g. when the card scrolls into view)
+ *   - onResult(movieId, result): called as soon as each movie is looked up
+ */
+export async function batchSearchMovies(movies, apiKey, onProgress = null, options = {}) {
+  const results = new Map()
+  let completed = 0
 
-      if (searchResult && fetchDetails) {
-        // Fetch details and providers in parallel (faster!)
-        const [details, providers] = await Promise.all([
-          fetchMovieDetails(searchResult.id, apiKey, searchResult.isTV),
-          fetchWatchProviders(searchResult.id, apiKey, searchResult.isTV)
-        ])
-        
-        if (details) {
-          Object.assign(searchResult, { details })
-        }
-        if (providers) {
-          searchResult.watchProviders = providers
-        }
-      }
+  console.log(`TMDB: Processing ${movies.length} movies`)
 
-      return { movieId: movie.id, result: searchResult }
-    })
+  await Promise.all(movies.map(async (movie) => {
+    const request = options.requestFor?.(movie) || { signal: options.signal }
+    let searchResult = null
 
-    // Wait for batch to complete
-    const batchResults = await Promise.all(batchPromises)
-    
-    // Store results and update progress
-    batchResults.forEach(({ movieId, result }) => {
-      results.set(movieId, result)
-      completed++
-      if (onProgress) {
-        onProgress(completed, movies.length)
-      }
-    })
+    try {
+      searchResult = await lookupMovie(movie, apiKey, { request })
+    } catch (error) {
+      console.error(`TMDB: Error searching for "${movie.title}":`, error)
+      searchResult = null
+    }
 
-    // Small delay between batches to avoid rate limiting (only if not all from cache)
-    const hasNonCached = batchResults.some(({ result }) => result && result._fromCache !== true)
-    if (hasNonCached && batch !== batches[batches.length - 1]) {
-      // Reduced delay: 100ms between batches instead of 100ms per movie
-      await new Promise(resolve => setTimeout(resolve, 100))
+    results.set(movie.id, searchResult)
+    if (options.onResult && !options.signal?.aborted) {
+      options.onResult(movie.id, searchResult)
     }
-  }
+    completed++
+    if (onProgress) {
+      onProgress(completed, movies.length)
+    }
+  }))
 
-  // Final save of cache after batch is complete
-  if (saveCacheTimeout) {
-    clearTimeout(saveCacheTimeout)
-    saveCacheTimeout = null
-  }
-  saveCacheToStorage()
-  console.log('TMDB: Batch search complete, cache saved')
+  // Write access times of the entries used by this load
+  flushCache()
+  console.log(options.signal?.aborted ? 'TMDB: Batch search cancelled' : 'TMDB: Batch search complete')
 
   return results
 }
@@ -0,0 +1,42 @@
+// Manual TMDB matches chosen in the "Wrong poster?" picker.
+// Stored per Todoist task in localStorage: { [taskId]: { id, isTV } }
+const OVERRIDES_STORAGE_KEY = 'tmdb_overrides'
+
+/**
+ * All overrides keyed by task ID
+ */
+export function getTmdbOverrides() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(OVERRIDES_STORAGE_KEY) || '{}')
+    return stored && typeof stored === 'object' ? stored : {}
+  } catch (e) {
+    console.warn('TMDB: Failed to load overrides, clearing:', e)
+    localStorage.removeItem(OVERRIDES_STORAGE_KEY)
+    return {}
+  }
+}
+
+/**
+ * Override for a task: { id, isTV } or null
+ */
+export function getTmdbOverride(taskId) {
+  return getTmdbOverrides()[taskId] || null
+}
+
+/**
+ * Pin a task to a TMDB movie or TV show
+ */
+export function setTmdbOverride(taskId, { id, isTV }) {
+  const overrides = getTmdbOverrides()
+  overrides[taskId] = { id, isTV: !!isTV }
+  localStorage.setItem(OVERRIDES_STORAGE_KEY, JSON.stringify(overrides))
+}
+
+/**
+ * Go back to automatic matching for a task
+ */
+export function removeTmdbOverride(taskId) {
+  const overrides = getTmdbOverrides()
+  delete overrides[taskId]
+  localStorage.setItem(OVERRIDES_STORAGE_KEY, JSON.stringify(overrides))
+}
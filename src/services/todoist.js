@@ -1,289 +1,169 @@
-// Todoist API Service
-const TODOIST_API_URL = 'https://api.todoist.com/api/v1'
+// Todoist movies service (domain layer on top of todoistClient.js)
+import { getConfig, resolveSectionRoles, SECTION_ROLES, DEFAULT_MOVIES_PROJECT_NAME } from './config.js'
+import { toEpisode } from './series.js'
+import { parseTaskTitle, parseTaskDescription } from './parser.js'
+import { fetchProjects, fetchProjectSections, fetchProjectTasks, fetchCompletedTasks, createTask, updateTask, closeTask, reopenTask, isCancelledError } from './todoistClient.js'
+import { parseDue, dueDateFields } from './due.js'
 
-// Project ID for "🍿 Фильмы"
-const MOVIES_PROJECT_ID = '6Crg4FqFXpXHmmXm'
+// Completed episode subtasks are looked up this far back (Todoist allows about 3 months)
+const WATCHED_EPISODES_DAYS = 90
 
-// CORS proxy URL (set via setCorsProxy)
-let corsProxyUrl = ''
+// Resolved movies project ID (from config or found by name)
+let moviesProjectId = null
 
 /**
- * Set the CORS proxy URL for all Todoist API requests.
- * The proxy URL is prepended to the Todoist API URL.
- * Example: 'https://my-proxy.workers.dev/' will turn
- *   'https://api.todoist.com/rest/v2/tasks' into
- *   'https://my-proxy.workers.dev/https://api.todoist.com/rest/v2/tasks'
+ * Resolve the movies project ID.
+ * Uses the configured project, otherwise looks up a project named "Фильмы".
  */
-export function setCorsProxy(proxyUrl) {
-  let url = proxyUrl ? proxyUrl.replace(/\/+$/, '') : ''
-  if (url && url.startsWith('http://')) {
-    url = url.replace('http://', 'https://')
+async function resolveMoviesProjectId(apiToken, options = {}) {
+  const configured = getConfig().moviesProjectId
+  if (configured) return configured
+  if (moviesProjectId) return moviesProjectId
+
+  const projects = await fetchProjects(apiToken, options)
+  const project = projects.find(p => p.name.includes(DEFAULT_MOVIES_PROJECT_NAME))
+  if (!project) {
+    throw new Error('Проект с фильмами не найден. Выберите его в настройках.')
   }
-  corsProxyUrl = url
-}
 
-function applyProxy(url) {
-  if (!corsProxyUrl) return url
-  return `${corsProxyUrl}/${url}`
+  moviesProjectId = project.id
+  console.log('Found movies project:', project.name, 'ID:', moviesProjectId)
+  return moviesProjectId
 }
 
 /**
- * Fetch with retry logic for network errors
- * Retries up to 3 times with exponential backoff
+ * Clear cached project info (useful when switching accounts or projects)
  */
-async function fetchWithRetry(url, options = {}, maxRetries = 3) {
-  const proxiedUrl = applyProxy(url)
-  let lastError = null
-
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      const response = await fetch(proxiedUrl, options)
-      return response
-    } catch (error) {
-      lastError = error
-      console.warn(`Network error (attempt ${attempt + 1}/${maxRetries}):`, error.message)
-
-      // Wait before retrying (exponential backoff: 1s, 2s, 4s)
-      if (attempt < maxRetries - 1) {
-        const delay = Math.pow(2, attempt) * 1000
-        await new Promise(resolve => setTimeout(resolve, delay))
-      }
-    }
-  }
-
-  // All retries failed
-  throw new Error(`Ошибка сети: ${lastError?.message || 'не удалось подключиться'}. Проверьте интернет-соединение.`)
+export function clearMoviesCache() {
+  moviesProjectId = null
 }
 
 /**
- * Fetch all pages from a paginated API v1 endpoint.
- * Returns a flat array of all results.
+ * Parse movie info from Todoist task
+ * sectionRoles maps section IDs to SECTION_ROLES (see config.js),
+ * completedTasks are recently completed tasks of the project (watched episodes)
  */
-async function fetchAllPages(url, options = {}) {
-  const allResults = []
-  let cursor = null
-
-  do {
-    const separator = url.includes('?') ? '&' : '?'
-    const pageUrl = cursor ? `${url}${separator}cursor=${cursor}` : url
-    const response = await fetchWithRetry(pageUrl, options)
-
-    if (!response.ok) return { ok: false, status: response.status, results: [] }
+export function parseMovieInfo(task, allTasks = [], actualSections = {}, sectionRoles = {}, completedTasks = []) {
+  const sectionName = actualSections[task.section_id] || 'Другое'
+  const sectionRole = sectionRoles[task.section_id] || null
 
-    const data = await response.json()
-    const results = Array.isArray(data) ? data : (data.results || [])
-    allResults.push(...results)
-    cursor = data.next_cursor || null
-  } while (cursor)
-
-  return { ok: true, status: 200, results: allResults }
-}
-
-// Section IDs
-export const SECTIONS = {
-  RULES: '674GCv5g249xxp3F',
-  WATCHING_NOW: '6W4Gvr7pfmMVpJ2m',
-  MOVIES: '65CW5hwj3GQG3PCF',
-  SERIES: '65CVq4gf6VxMW5jm',
-  TOP_25: '6frj8jR8vM5299vm'
-}
-
-export const SECTION_NAMES = {
-  [SECTIONS.RULES]: 'Правила',
-  [SECTIONS.WATCHING_NOW]: 'Смотрю сейчас',
-  [SECTIONS.MOVIES]: 'Фильмы',
-  [SECTIONS.SERIES]: 'Сериалы',
-  [SECTIONS.TOP_25]: '25 главных фильмов XXI века'
-}
+  const due = parseDue(task.due)
 
-/**
- * Parse movie info from Todoist task
- */
-export function parseMovieInfo(task, allTasks = [], actualSections = {}) {
-  // Use actual section name from API if available, otherwise fall back to constants
-  const sectionName = actualSections[task.section_id] || SECTION_NAMES[task.section_id] || 'Другое'
-  
   const info = {
     id: task.id,
     title: task.content,
     description: task.description || '',
     sectionId: task.section_id,
     sectionName: sectionName,
+    sectionRole: sectionRole,
     labels: task.labels || [],
     priority: task.priority,
-    dueDate: task.due?.date || null,
+    dueDate: due?.date || null,
+    // { date, time, datetime, timezone, string, isRecurring } (see due.js)
+    due,
+    // When the task was created (how long the movie has been waiting)
+    addedAt: task.added_at || null,
     kinopoiskRating: null,
     imdbRating: null,
+    tmdbRating: null,
+    runtime: null,
     reason: null,
     year: null,
     director: null,
+    originalTitle: null,
+    // TMDB ID written by metadata sync: { id, isTV }
+    tmdbRef: null,
     isSeries: false,
     seasons: null,
-    episodes: null
-  }
-  
-  // Debug logging for specific movie
-  if (info.title && info.title.includes('Когда они увидят нас')) {
-    console.log('parseMovieInfo debug for "Когда они увидят нас":', {
-      title: info.title,
-      sectionId: info.sectionId,
-      sectionName: info.sectionName,
-      actualSectionName: actualSections[task.section_id],
-      sectionIdMatch: info.sectionId === SECTIONS.SERIES,
-      isSeriesSection: sectionName === 'Сериалы' || sectionName.toLowerCase().includes('сериал'),
-      SERIES_SECTION_ID: SECTIONS.SERIES
-    })
+    episodes: null,
+    // Open episode subtasks: [{ id, content, season, episode }]
+    subtasks: [],
+    // Episode subtasks completed lately, same format
+    watchedEpisodes: [],
+    // Custom "key: value" lines of the description
+    fields: {},
+    // Parts of the task the parser could not read
+    parseWarnings: []
   }
 
-  // Determine if it's a series based on section
-  // Check by section name (more reliable than ID which might change)
-  // "Сериалы" section is ALWAYS a series, regardless of subtasks
-  // "Смотрю сейчас" can contain both movies and series, so check subtasks
-  const isSeriesSection = sectionName === 'Сериалы' || 
-                          sectionName.toLowerCase().includes('сериал') ||
-                          task.section_id === SECTIONS.SERIES
+  // "Сериалы" role is ALWAYS a series, regardless of subtasks.
+  // "Смотрю сейчас" can contain both movies and series, so check subtasks.
+  const isSeriesSection = sectionRole === SECTION_ROLES.SERIES
   info.isSeries = isSeriesSection
 
   // Count episodes from subtasks
-  if (allTasks.length > 0) {
-    const subtasks = allTasks.filter(t => t.parent_id === task.id)
-    if (subtasks.length > 0) {
-      // If has subtasks (episodes), it's definitely a series
-      info.isSeries = true
-      info.episodes = subtasks.length
-
-      // Try to determine seasons from subtask content (e.g., "Сезон 4, Эпизод 16")
-      const seasonNumbers = new Set()
-      subtasks.forEach(st => {
-        const seasonMatch = st.content.match(/[Сс]езон\s*(\d+)/i)
-        if (seasonMatch) {
-          seasonNumbers.add(parseInt(seasonMatch[1]))
-        }
-      })
-      if (seasonNumbers.size > 0) {
-        info.seasons = Math.max(...seasonNumbers)
-      }
-    } else if (task.section_id === SECTIONS.WATCHING_NOW) {
-      // If in "Смотрю сейчас" but no subtasks, assume it's a movie (not a series)
-      // But DON'T override if it's already in SERIES section
-      if (task.section_id !== SECTIONS.SERIES) {
-        info.isSeries = false
-      }
-    }
-  } else if (task.section_id === SECTIONS.WATCHING_NOW) {
-    // If in "Смотрю сейчас" but no subtasks at all, assume it's a movie
-    // But DON'T override if it's already in SERIES section
-    if (task.section_id !== SECTIONS.SERIES) {
-      info.isSeries = false
-    }
-  }
-  
-  // Final check: if in SERIES section, always mark as series
-  if (task.section_id === SECTIONS.SERIES) {
+  const subtasks = allTasks.filter(t => t.parent_id === task.id)
+  if (subtasks.length > 0) {
+    // If has subtasks (episodes), it's definitely a series
     info.isSeries = true
+    info.episodes = subtasks.length
+    info.subtasks = subtasks.map(toEpisode)
+
+    // Try to determine seasons from subtask content (e.g., "Сезон 4, Эпизод 16")
+    const seasonNumbers = new Set(info.subtasks
+      .map(episode => episode.season)
+      .filter(season => season !== null))
+    if (seasonNumbers.size > 0) {
+      info.seasons = Math.max(...seasonNumbers)
+    }
   }
 
-  // Clean title from markers
-  info.title = info.title
-    .replace(/^[•*#\d]+\s*/, '')
-    .replace(/^\d+\s+/, '')
-    .trim()
-
-  // Extract year from title (e.g., "Малхолланд Драйв (2001)")
-  const yearMatch = info.title.match(/\((\d{4})\)/)
-  if (yearMatch) {
-    info.year = parseInt(yearMatch[1])
-  }
-
-  // Extract director from title (e.g., "— Дэвид Линч")
-  const directorMatch = info.title.match(/—\s*(.+)$/)
-  if (directorMatch) {
-    info.director = directorMatch[1].trim()
-    info.title = info.title.replace(/\s*—\s*.+$/, '').trim()
+  // Episodes watched lately: also a series, even with no open episodes left
+  info.watchedEpisodes = completedTasks.filter(t => t.parent_id === task.id).map(toEpisode)
+  if (info.watchedEpisodes.length > 0) {
+    info.isSeries = true
+  } else if (subtasks.length === 0 && sectionRole === SECTION_ROLES.WATCHING && !isSeriesSection) {
+    // In "Смотрю сейчас" without subtasks: assume it's a movie
+    info.isSeries = false
   }
 
-  // Clean title further
-  info.title = info.title.replace(/\s*\(\d{4}\)\s*/, ' ').trim()
-
-  // Parse description for ratings and info
-  if (info.description) {
-    // Kinopoisk rating (e.g., "Кинопоиск:8.1" or "на Кинопоиске: 8.1")
-    const kpMatch = info.description.match(/(?:Кинопоиск|на Кинопоиске)[:\s]*(\d+\.?\d*)/i)
-    if (kpMatch) {
-      info.kinopoiskRating = parseFloat(kpMatch[1])
-    }
-
-    // IMDb rating (e.g., "IMDb: 8.2" or "на IMDb: 8.2")
-    const imdbMatch = info.description.match(/(?:IMDb|на IMDb)[:\s]*(\d+\.?\d*)/i)
-    if (imdbMatch) {
-      info.imdbRating = parseFloat(imdbMatch[1])
-    }
-
-    // Extract reason (everything after ratings info, or the whole description if no ratings)
-    const lines = info.description.split('\n').filter(l => l.trim())
-    const reasonLines = lines.filter(line => {
-      const lower = line.toLowerCase()
-      return !lower.includes('кинопоиск') &&
-             !lower.includes('imdb') &&
-             !lower.includes('оценка на') &&
-             !line.match(/^\d+\s*(ч|мин)/) &&
-             !line.match(/^\*\*Оценка/)
-    })
-    if (reasonLines.length > 0) {
-      info.reason = reasonLines.join(' ').trim()
-    }
-  }
+  // Title: "Название (Год) — Режиссёр" (grammar in parser.js)
+  const parsedTitle = parseTaskTitle(task.content)
+  info.title = parsedTitle.title
+  info.year = parsedTitle.year
+  info.director = parsedTitle.credit
+
+  // Description: ratings, runtime, reason and custom fields
+  const parsed = parseTaskDescription(info.description)
+  info.kinopoiskRating = parsed.ratings.kinopoisk ?? null
+  info.imdbRating = parsed.ratings.imdb ?? null
+  info.tmdbRating = parsed.ratings.tmdb ?? null
+  info.runtime = parsed.runtime
+  info.year = info.year || parsed.year
+  info.director = info.director || parsed.director
+  info.originalTitle = parsed.originalTitle
+  info.tmdbRef = parsed.tmdb
+  info.reason = parsed.reason
+  info.fields = parsed.fields
+  info.parseWarnings = [...parsedTitle.warnings, ...parsed.warnings]
 
   return info
 }
 
 /**
  * Fetch movies from Todoist API
+ * Options: { signal } to cancel the request
  */
-export async function fetchMovies(apiToken) {
-  if (!apiToken) {
-    throw new Error('Todoist API token is required')
-  }
-
-  // First fetch sections to get actual section IDs and names
-  const sectionsData = await fetchAllPages(`${TODOIST_API_URL}/sections?project_id=${MOVIES_PROJECT_ID}`, {
-    headers: {
-      'Authorization': `Bearer ${apiToken}`
-    }
+export async function fetchMovies(apiToken, options = {}) {
+  const projectId = await resolveMoviesProjectId(apiToken, options)
+
+  // First fetch sections to get actual section IDs, names and roles
+  const sections = await fetchProjectSections(apiToken, projectId, options)
+  const actualSections = {}
+  sections.forEach(section => {
+    actualSections[section.id] = section.name
   })
+  const sectionRoles = resolveSectionRoles(sections)
+  console.log('Fetched sections:', actualSections, 'roles:', sectionRoles)
 
-  let actualSections = {}
-  if (sectionsData.ok) {
-    sectionsData.results.forEach(section => {
-      actualSections[section.id] = section.name
-    })
-    console.log('Fetched sections:', actualSections)
-  }
-
-  const tasksData = await fetchAllPages(`${TODOIST_API_URL}/tasks?project_id=${MOVIES_PROJECT_ID}`, {
-    headers: {
-      'Authorization': `Bearer ${apiToken}`
-    }
-  })
-
-  if (!tasksData.ok) {
-    if (tasksData.status === 401) {
-      throw new Error('Неверный Todoist токен. Проверьте настройки.')
-    } else if (tasksData.status === 403) {
-      throw new Error('Нет доступа к проекту в Todoist.')
-    } else if (tasksData.status >= 500) {
-      throw new Error('Сервер Todoist временно недоступен. Попробуйте позже.')
-    }
-    throw new Error(`Ошибка Todoist: ${tasksData.status}`)
-  }
-
-  const tasks = tasksData.results
+  const tasks = await fetchProjectTasks(apiToken, projectId, options)
+  const completedTasks = await fetchCompletedEpisodes(apiToken, projectId, options)
 
   // Filter out rules and subtasks, parse movie info
   const movies = tasks
     .filter(task => {
-      // Skip rules section
-      if (task.section_id === SECTIONS.RULES) return false
+      // Skip ignored sections (rules etc.)
+      if (sectionRoles[task.section_id] === SECTION_ROLES.IGNORED) return false
       // Skip items that look like subtasks (start with •)
       if (task.content.startsWith('•')) return false
       // Skip items that are headers (start with *)
@@ -292,105 +172,164 @@ export async function fetchMovies(apiToken) {
       if (task.parent_id) return false
       return true
     })
-    .map(task => parseMovieInfo(task, tasks, actualSections))
+    .map(task => parseMovieInfo(task, tasks, actualSections, sectionRoles, completedTasks))
 
   return movies
 }
 
 /**
- * Complete (close) a task in Todoist
+ * Subtasks of the project completed lately: the lower bound of series progress.
+ * Without them the list still loads.
  */
-export async function completeTask(apiToken, taskId) {
-  if (!apiToken) {
-    throw new Error('Todoist API token is required')
+async function fetchCompletedEpisodes(apiToken, projectId, options) {
+  const until = new Date()
+  const since = new Date(until.getTime() - WATCHED_EPISODES_DAYS * 24 * 60 * 60 * 1000)
+  try {
+    const tasks = await fetchCompletedTasks(apiToken, since, until, { ...options, projectId })
+    return tasks.filter(task => task.parent_id)
+  } catch (e) {
+    if (isCancelledError(e)) throw e
+    console.warn('Series: Failed to load watched episodes:', e.message)
+    return []
   }
+}
 
-  const response = await fetchWithRetry(`${TODOIST_API_URL}/tasks/${taskId}/close`, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiToken}`
-    }
+/**
+ * Fetch movies completed (watched) between `since` and `until`.
+ * Each movie gets `completedAt` (ISO string).
+ */
+export async function fetchWatchedMovies(apiToken, since, until, options = {}) {
+  const projectId = await resolveMoviesProjectId(apiToken, options)
+
+  const sections = await fetchProjectSections(apiToken, projectId, options)
+  const actualSections = {}
+  sections.forEach(section => {
+    actualSections[section.id] = section.name
   })
+  const sectionRoles = resolveSectionRoles(sections)
 
-  if (!response.ok) {
-    throw new Error(`Ошибка Todoist: ${response.status}`)
-  }
+  const tasks = await fetchCompletedTasks(apiToken, since, until, { ...options, projectId })
 
-  return true
+  return tasks
+    .filter(task => {
+      if (sectionRoles[task.section_id] === SECTION_ROLES.IGNORED) return false
+      // Completed episodes are not watched movies
+      if (task.parent_id) return false
+      if (task.content.startsWith('•') || task.content.startsWith('*')) return false
+      return true
+    })
+    .map(task => ({
+      ...parseMovieInfo(task, [], actualSections, sectionRoles),
+      completedAt: task.completed_at,
+      noteCount: task.note_count ?? null
+    }))
 }
 
 /**
- * Create a new task in Todoist Inbox
+ * Reopen a watched movie so it returns to the list
  */
-export async function createTask(apiToken, content) {
-  if (!apiToken) {
-    throw new Error('Todoist API token is required')
-  }
+export async function reopenMovieTask(apiToken, taskId) {
+  return await reopenTask(apiToken, taskId)
+}
 
-  const response = await fetchWithRetry(`${TODOIST_API_URL}/tasks`, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiToken}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      content: content
-    })
-  })
+/**
+ * Complete (close) a task in Todoist
+ */
+export async function completeTask(apiToken, taskId) {
+  return await closeTask(apiToken, taskId)
+}
 
-  if (!response.ok) {
-    throw new Error(`Ошибка Todoist: ${response.status}`)
-  }
+/**
+ * Create a new task for movie review
+ */
+export async function createMovieReviewTask(apiToken, movieTitle) {
+  return await createTask(apiToken, `Написать отзыв на фильм «${movieTitle}»`)
+}
+
+/**
+ * Build task content in the format parseMovieInfo expects:
+ * "Название (Год) — Режиссёр"
+ */
+export function formatMovieTitle({ title, year, director }) {
+  let content = title.trim()
+  if (year) content += ` (${year})`
+  if (director) content += ` — ${director.trim()}`
+  return content
+}
 
-  return await response.json()
+/**
+ * Build task description: TMDB rating, runtime and the "why watch" note.
+ * Each metadata line is recognised (and skipped from the reason) by parseMovieInfo.
+ */
+export function formatMovieDescription({ tmdbRating, runtime, reason }) {
+  const meta = []
+  if (tmdbRating) meta.push(`TMDB: ${Number(tmdbRating).toFixed(1)}`)
+  if (runtime) meta.push(formatRuntime(runtime))
+
+  const parts = []
+  if (meta.length > 0) parts.push(meta.join('\n'))
+  if (reason && reason.trim()) parts.push(reason.trim())
+  return parts.join('\n\n')
 }
 
 /**
- * Update task due date in Todoist
+ * Runtime in minutes as written in descriptions: "2 ч 9 мин"
  */
-export async function updateTaskDueDate(apiToken, taskId, dueDate) {
-  if (!apiToken) {
-    throw new Error('Todoist API token is required')
+export function formatRuntime(runtime) {
+  const hours = Math.floor(runtime / 60)
+  const minutes = runtime % 60
+  if (hours > 0) {
+    return minutes > 0 ? `${hours} ч ${minutes} мин` : `${hours} ч`
   }
+  return `${minutes} мин`
+}
 
-  // Use due_date for setting, due_string: "no date" for clearing
-  const body = dueDate
-    ? { due_date: dueDate }
-    : { due_string: 'no date' }
-
-  const response = await fetchWithRetry(`${TODOIST_API_URL}/tasks/${taskId}`, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiToken}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(body)
+/**
+ * Create a correctly formatted movie task in the movies project
+ */
+export async function createMovieTask(apiToken, { title, year, director, sectionId, tmdbRating, runtime, reason }) {
+  const content = formatMovieTitle({ title, year, director })
+  const description = formatMovieDescription({ tmdbRating, runtime, reason })
+
+  return await createTask(apiToken, content, {
+    projectId: await resolveMoviesProjectId(apiToken),
+    sectionId,
+    description
   })
+}
 
-  if (!response.ok) {
-    throw new Error(`Ошибка Todoist: ${response.status}`)
-  }
-
-  return await response.json()
+/**
+ * Update task due date in Todoist (schedule: see due.js).
+ * Returns the updated task.
+ */
+export async function updateTaskDueDate(apiToken, taskId, schedule) {
+  return await updateTask(apiToken, taskId, dueDateFields(schedule))
 }
 
 /**
- * Get sections info
+ * Update labels and/or priority of a movie task (fields: { labels, priority }).
+ * Returns the updated task.
  */
-export async function fetchSections(apiToken) {
-  if (!apiToken) {
-    throw new Error('Todoist API token is required')
-  }
+export async function updateMovieTask(apiToken, taskId, fields) {
+  return await updateTask(apiToken, taskId, fields)
+}
 
-  const data = await fetchAllPages(`${TODOIST_API_URL}/sections?project_id=${MOVIES_PROJECT_ID}`, {
-    headers: {
-      'Authorization': `Bearer ${apiToken}`
-    }
-  })
+/**
+ * Replace the description of a movie task
+ */
+export async function updateMovieDescription(apiToken, taskId, description) {
+  return await updateTask(apiToken, taskId, { description })
+}
 
-  if (!data.ok) {
-    throw new Error(`Ошибка Todoist: ${data.status}`)
-  }
+/**
+ * Get sections of the movies project with their roles (ignored sections excluded)
+ */
+export async function fetchSections(apiToken) {
+  const projectId = await resolveMoviesProjectId(apiToken)
+  const sections = await fetchProjectSections(apiToken, projectId)
+  const roles = resolveSectionRoles(sections)
 
-  return data.results.filter(s => s.id !== SECTIONS.RULES)
+  return sections
+    .map(s => ({ ...s, role: roles[s.id] || null }))
+    .filter(s => s.role !== SECTION_ROLES.IGNORED)
 }
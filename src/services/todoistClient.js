@@ -0,0 +1,313 @@
+// Todoist API client shared by the movie and book services.
+// Owns auth headers, CORS proxying, pagination, retries and error mapping.
+const TODOIST_API_URL = 'https://api.todoist.com/api/v1'
+
+const MAX_RETRIES = 3
+const MAX_RETRY_AFTER_MS = 60 * 1000
+
+// Error codes for TodoistError.code
+export const TODOIST_ERRORS = {
+  AUTH: 'auth',
+  FORBIDDEN: 'forbidden',
+  NOT_FOUND: 'not_found',
+  RATE_LIMIT: 'rate_limit',
+  SERVER: 'server',
+  NETWORK: 'network',
+  CANCELLED: 'cancelled',
+  HTTP: 'http'
+}
+
+/**
+ * Error thrown for every failed Todoist request.
+ * `message` is user-facing (Russian), `code` is one of TODOIST_ERRORS.
+ */
+export class TodoistError extends Error {
+  constructor(message, code, status = null) {
+    super(message)
+    this.name = 'TodoistError'
+    this.code = code
+    this.status = status
+  }
+}
+
+/**
+ * Map an HTTP status to a TodoistError
+ */
+function errorFromStatus(status) {
+  if (status === 401) {
+    return new TodoistError('Неверный Todoist токен. Проверьте настройки.', TODOIST_ERRORS.AUTH, status)
+  }
+  if (status === 403) {
+    return new TodoistError('Нет доступа к проекту в Todoist.', TODOIST_ERRORS.FORBIDDEN, status)
+  }
+  if (status === 404) {
+    return new TodoistError('Задача или проект не найдены в Todoist.', TODOIST_ERRORS.NOT_FOUND, status)
+  }
+  if (status === 429) {
+    return new TodoistError('Слишком много запросов к Todoist. Попробуйте через минуту.', TODOIST_ERRORS.RATE_LIMIT, status)
+  }
+  if (status >= 500) {
+    return new TodoistError('Сервер Todoist временно недоступен. Попробуйте позже.', TODOIST_ERRORS.SERVER, status)
+  }
+  return new TodoistError(`Ошибка Todoist: ${status}`, TODOIST_ERRORS.HTTP, status)
+}
+
+function cancelledError() {
+  return new TodoistError('Запрос отменён', TODOIST_ERRORS.CANCELLED)
+}
+
+/**
+ * True if the error means "Todoist could not be reached" (offline, proxy down)
+ */
+export function isNetworkError(error) {
+  return error instanceof TodoistError && error.code === TODOIST_ERRORS.NETWORK
+}
+
+/**
+ * True if the request was aborted via AbortSignal
+ */
+export function isCancelledError(error) {
+  return error instanceof TodoistError && error.code === TODOIST_ERRORS.CANCELLED
+}
+
+// CORS proxy URL (set via setCorsProxy)
+let corsProxyUrl = ''
+
+/**
+ * Set the CORS proxy URL for all Todoist API requests.
+ * The proxy URL is prepended to the Todoist API URL.
+ * Example: 'https://my-proxy.workers.dev/' will turn
+ *   'https://api.todoist.com/api/v1/tasks' into
+ *   'https://my-proxy.workers.dev/https://api.todoist.com/api/v1/tasks'
+ */
+export function setCorsProxy(proxyUrl) {
+  let url = proxyUrl ? proxyUrl.replace(/\/+$/, '') : ''
+  if (url && url.startsWith('http://')) {
+    url = url.replace('http://', 'https://')
+  }
+  corsProxyUrl = url
+}
+
+function applyProxy(url) {
+  if (!corsProxyUrl) return url
+  return `${corsProxyUrl}/${url}`
+}
+
+/**
+ * Sleep that rejects early when the signal is aborted
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(cancelledError())
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    function onAbort() {
+      clearTimeout(timeoutId)
+      reject(cancelledError())
+    }
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * Delay before the next attempt: Retry-After header if present,
+ * otherwise exponential backoff (1s, 2s, 4s)
+ */
+function retryDelay(response, attempt) {
+  const retryAfter = response?.headers.get('Retry-After')
+  if (retryAfter) {
+    const seconds = parseInt(retryAfter)
+    if (!isNaN(seconds)) return Math.min(seconds * 1000, MAX_RETRY_AFTER_MS)
+  }
+  return Math.pow(2, attempt) * 1000
+}
+
+/**
+ * Perform a single Todoist API request.
+ * Retries 429 responses, and network errors and 5xx responses of idempotent
+ * requests (GET, or `idempotent: true`): a failed POST that creates something
+ * may already have been applied, so repeating it could create a duplicate.
+ * Throws TodoistError. Returns parsed JSON, or null for empty responses.
+ *
+ * Options: { method, body, signal, idempotent }
+ */
+export async function todoistRequest(apiToken, path, options = {}) {
+  if (!apiToken) {
+    throw new TodoistError('Todoist API token is required', TODOIST_ERRORS.AUTH)
+  }
+
+  const { method = 'GET', body, signal } = options
+  const idempotent = options.idempotent ?? method === 'GET'
+
+  // The browser already knows there is no connection: fail fast instead of retrying
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    throw new TodoistError('Нет подключения к интернету.', TODOIST_ERRORS.NETWORK)
+  }
+
+  const headers = { 'Authorization': `Bearer ${apiToken}` }
+  if (body !== undefined) headers['Content-Type'] = 'application/json'
+
+  const url = applyProxy(`${TODOIST_API_URL}${path}`)
+  let lastError = null
+
+  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+    if (signal?.aborted) throw cancelledError()
+
+    let response
+    try {
+      response = await fetch(url, {
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal
+      })
+    } catch (error) {
+      if (error.name === 'AbortError') throw cancelledError()
+      lastError = new TodoistError(
+        `Ошибка сети: ${error.message || 'не удалось подключиться'}. Проверьте интернет-соединение.`,
+        TODOIST_ERRORS.NETWORK
+      )
+      console.warn(`Todoist: Network error (attempt ${attempt + 1}/${MAX_RETRIES}):`, error.message)
+      if (!idempotent) throw lastError
+      if (attempt < MAX_RETRIES - 1) await delay(retryDelay(null, attempt), signal)
+      continue
+    }
+
+    if (response.ok) {
+      const text = await response.text()
+      return text ? JSON.parse(text) : null
+    }
+
+    lastError = errorFromStatus(response.status)
+
+    // Only rate limits (the request was not applied) and server errors are worth retrying
+    const retryable = response.status === 429 || (idempotent && response.status >= 500)
+    if (!retryable) throw lastError
+
+    console.warn(`Todoist: HTTP ${response.status} (attempt ${attempt + 1}/${MAX_RETRIES})`)
+    if (attempt < MAX_RETRIES - 1) await delay(retryDelay(response, attempt), signal)
+  }
+
+  throw lastError
+}
+
+/**
+ * Fetch all pages from a paginated API v1 endpoint.
+ * Returns a flat array of all results.
+ */
+export async function todoistFetchAll(apiToken, path, options = {}) {
+  const allResults = []
+  let cursor = null
+
+  do {
+    const separator = path.includes('?') ? '&' : '?'
+    const pagePath = cursor ? `${path}${separator}cursor=${encodeURIComponent(cursor)}` : path
+    const data = await todoistRequest(apiToken, pagePath, { signal: options.signal })
+
+    const results = Array.isArray(data) ? data : (data?.results || data?.items || [])
+    allResults.push(...results)
+    cursor = data?.next_cursor || null
+  } while (cursor)
+
+  return allResults
+}
+
+/**
+ * Fetch all projects
+ */
+export async function fetchProjects(apiToken, options = {}) {
+  return await todoistFetchAll(apiToken, '/projects', options)
+}
+
+/**
+ * Fetch all sections of a project
+ */
+export async function fetchProjectSections(apiToken, projectId, options = {}) {
+  return await todoistFetchAll(apiToken, `/sections?project_id=${projectId}`, options)
+}
+
+/**
+ * Fetch all active tasks of a project
+ */
+export async function fetchProjectTasks(apiToken, projectId, options = {}) {
+  return await todoistFetchAll(apiToken, `/tasks?project_id=${projectId}`, options)
+}
+
+/**
+ * Fetch active tasks matching a Todoist filter query (e.g. "search: отзыв")
+ */
+export async function fetchTasksByFilter(apiToken, query, options = {}) {
+  return await todoistFetchAll(apiToken, `/tasks/filter?query=${encodeURIComponent(query)}`, options)
+}
+
+/**
+ * Fetch tasks completed between `since` and `until` (Date objects).
+ * Todoist limits the range to about 3 months per request.
+ * Options: { projectId, signal }
+ */
+export async function fetchCompletedTasks(apiToken, since, until, options = {}) {
+  const params = new URLSearchParams({
+    since: since.toISOString(),
+    until: until.toISOString()
+  })
+  if (options.projectId) params.set('project_id', options.projectId)
+
+  return await todoistFetchAll(apiToken, `/tasks/completed/by_completion_date?${params}`, options)
+}
+
+/**
+ * Create a task.
+ * Without options the task goes to the Inbox with plain content.
+ * Options: { projectId, sectionId, parentId, description }
+ */
+export async function createTask(apiToken, content, options = {}) {
+  const body = { content: content }
+  if (options.projectId) body.project_id = options.projectId
+  if (options.sectionId) body.section_id = options.sectionId
+  if (options.parentId) body.parent_id = options.parentId
+  if (options.description) body.description = options.description
+
+  return await todoistRequest(apiToken, '/tasks', { method: 'POST', body })
+}
+
+/**
+ * Update task fields (raw Todoist body, e.g. { due_date } or { description })
+ */
+export async function updateTask(apiToken, taskId, fields) {
+  return await todoistRequest(apiToken, `/tasks/${taskId}`, { method: 'POST', body: fields, idempotent: true })
+}
+
+/**
+ * Close (complete) a task
+ */
+export async function closeTask(apiToken, taskId) {
+  await todoistRequest(apiToken, `/tasks/${taskId}/close`, { method: 'POST', idempotent: true })
+  return true
+}
+
+/**
+ * Fetch all comments of a task
+ */
+export async function fetchComments(apiToken, taskId, options = {}) {
+  return await todoistFetchAll(apiToken, `/comments?task_id=${taskId}`, options)
+}
+
+/**
+ * Add a comment to a task
+ */
+export async function addComment(apiToken, taskId, content) {
+  return await todoistRequest(apiToken, '/comments', {
+    method: 'POST',
+    body: { task_id: taskId, content }
+  })
+}
+
+/**
+ * Reopen (uncomplete) a task
+ */
+export async function reopenTask(apiToken, taskId) {
+  await todoistRequest(apiToken, `/tasks/${taskId}/reopen`, { method: 'POST', idempotent: true })
+  return true
+}
@@ -0,0 +1,113 @@
+// View state in the address bar: content mode, filters and the open movie or
+// book, so a view can be shared as a link and Back closes the open card.
+// Everything lives in the query string of the app's base path, which also
+// works on GitHub Pages (no server routes needed).
+
+export const DEFAULT_FILTERS = {
+  searchQuery: '',
+  selectedSection: 'all',
+  sortBy: 'default',
+  minRating: 0,
+  movieType: 'all',
+  selectedProvider: 'all',
+  minDuration: 0,
+  maxDuration: 300,
+  scheduledFilter: 'all',
+  matchFilter: 'all',
+  // Facets (see facets.js): selected values, any of them matches
+  labels: [],
+  genres: [],
+  countries: [],
+  decades: [],
+  languages: []
+}
+
+// Filter name → query parameter
+const FILTER_PARAMS = {
+  searchQuery: 'q',
+  selectedSection: 'section',
+  sortBy: 'sort',
+  minRating: 'rating',
+  movieType: 'type',
+  selectedProvider: 'provider',
+  minDuration: 'from',
+  maxDuration: 'to',
+  scheduledFilter: 'scheduled',
+  matchFilter: 'match',
+  // Repeated for every selected value: ?genre=Драма&genre=Комедия
+  labels: 'label',
+  genres: 'genre',
+  countries: 'country',
+  decades: 'decade',
+  languages: 'lang'
+}
+
+// Open item → query parameter
+const ITEM_PARAMS = {
+  movies: 'movie',
+  books: 'book'
+}
+
+/**
+ * View state of a URL: { mode, filters, item ({ kind, id } or null), isEmpty }.
+ * Filters missing from the URL are defaults; isEmpty means the URL has no state
+ * at all (a plain visit, where saved settings apply).
+ */
+export function readUrlState(url = window.location.href) {
+  const params = new URL(url).searchParams
+
+  const filters = { ...DEFAULT_FILTERS }
+  for (const [key, param] of Object.entries(FILTER_PARAMS)) {
+    if (Array.isArray(DEFAULT_FILTERS[key])) {
+      filters[key] = params.getAll(param).filter(Boolean)
+      continue
+    }
+    if (!params.has(param)) continue
+    const raw = params.get(param)
+    if (typeof DEFAULT_FILTERS[key] === 'number') {
+      const value = Number(raw)
+      if (Number.isFinite(value)) filters[key] = value
+    } else {
+      filters[key] = raw
+    }
+  }
+
+  const kind = Object.keys(ITEM_PARAMS).find(k => params.has(ITEM_PARAMS[k]))
+  const item = kind ? { kind, id: params.get(ITEM_PARAMS[kind]) } : null
+
+  return {
+    // A link to a book opens the books list even without `mode`
+    mode: params.get('mode') === 'books' || kind === 'books' ? 'books' : 'movies',
+    filters,
+    item,
+    isEmpty: [...params.keys()].length === 0
+  }
+}
+
+/**
+ * Path and query for a view state; only non-default filters are written
+ */
+export function buildUrl({ mode, filters, item }) {
+  const params = new URLSearchParams()
+  if (mode === 'books') params.set('mode', 'books')
+
+  for (const [key, param] of Object.entries(FILTER_PARAMS)) {
+    if (Array.isArray(DEFAULT_FILTERS[key])) {
+      (filters[key] || []).forEach(value => params.append(param, value))
+    } else if (filters[key] !== undefined && filters[key] !== DEFAULT_FILTERS[key]) {
+      params.set(param, String(filters[key]))
+    }
+  }
+
+  if (item) params.set(ITEM_PARAMS[item.kind], item.id)
+
+  const query = params.toString()
+  return import.meta.env.BASE_URL + (query ? `?${query}` : '')
+}
+
+/**
+ * Path and query of the current page, comparable with buildUrl
+ */
+export function currentUrl() {
+  return window.location.pathname + window.location.search
+}
@@ -0,0 +1,69 @@
+// TMDB block write-back: only metadata lines change
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { rewriteDescription } from '../src/services/metadataSync.js'
+
+const meta = {
+  tmdb: { id: 27205, isTV: false },
+  originalTitle: 'Inception',
+  year: 2010,
+  runtime: 148,
+  genres: ['фантастика', 'боевик'],
+  director: 'Кристофер Нолан'
+}
+
+const block = [
+  'TMDB ID: movie/27205',
+  'Оригинальное название: Inception',
+  'Год: 2010',
+  '2 ч 28 мин',
+  'Жанр: фантастика, боевик',
+  'Режиссёр: Кристофер Нолан'
+]
+
+test('empty description gets only the block', () => {
+  assert.equal(rewriteDescription('', meta), block.join('\n'))
+})
+
+test('free text with markdown links and blank lines is copied verbatim', () => {
+  const text = [
+    'Посоветовал [Лёша](https://t.me/lesha) — **обязательно** в кино',
+    '',
+    '',
+    '  * [трейлер](https://youtu.be/YoHD9XEInc0)  ',
+    '',
+    '_Почему посмотреть:_ сон во сне'
+  ].join('\n')
+
+  const description = `Кинопоиск: 8.7\n${text}`
+  assert.equal(rewriteDescription(description, meta), [...block, 'Кинопоиск: 8.7', text].join('\n'))
+})
+
+test('text before any metadata is kept after a blank line', () => {
+  const description = 'Смотреть в 20:00\n\nhttps://www.kinopoisk.ru/film/447301/'
+  assert.equal(rewriteDescription(description, meta), `${block.join('\n')}\n\n${description}`)
+})
+
+test('the old block is replaced in place', () => {
+  const description = [
+    '**Кинопоиск: 8.7**',
+    'TMDB ID: movie/1',
+    'Год: 2009',
+    '2 ч 9 мин, IMDb: 8.8',
+    '',
+    'Сон во сне'
+  ].join('\n')
+
+  assert.equal(rewriteDescription(description, meta), [
+    '**Кинопоиск: 8.7**',
+    ...block,
+    'IMDb: 8.8',
+    '',
+    'Сон во сне'
+  ].join('\n'))
+})
+
+test('a second rewrite changes nothing', () => {
+  const once = rewriteDescription('Кинопоиск: 8.7\n\n[ссылка](https://example.com)', meta)
+  assert.equal(rewriteDescription(once, meta), once)
+})
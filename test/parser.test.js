@@ -0,0 +1,38 @@
+// Title and description parser against the task formats in fixtures/
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import { parseTaskTitle, parseTaskDescription, parseMetadataLine } from '../src/services/parser.js'
+
+function fixtures(name) {
+  return JSON.parse(readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), 'utf8'))
+}
+
+// Only the fields a fixture lists are compared
+function pick(result, expected) {
+  return Object.fromEntries(Object.keys(expected).map(key => [key, result[key]]))
+}
+
+for (const { name, input, expected } of fixtures('titles')) {
+  test(`title: ${name}`, () => {
+    assert.deepEqual(parseTaskTitle(input), expected)
+  })
+}
+
+for (const { name, input, expected } of fixtures('descriptions')) {
+  test(`description: ${name}`, () => {
+    assert.deepEqual(pick(parseTaskDescription(input), expected), expected)
+  })
+}
+
+test('metadata line: entries keep their source text', () => {
+  assert.deepEqual(parseMetadataLine('Кинопоиск: 8.1, 2 ч 9 мин'), [
+    { type: 'rating', key: 'kinopoisk', value: 8.1, text: 'Кинопоиск: 8.1' },
+    { type: 'runtime', key: 'runtime', value: 129, text: '2 ч 9 мин' }
+  ])
+})
+
+test('metadata line: free text is not metadata', () => {
+  assert.equal(parseMetadataLine('Очень крутой фильм: смотреть всем'), null)
+  assert.equal(parseMetadataLine('Смотреть в 20:00'), null)
+})